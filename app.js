@@ -1,747 +1,5678 @@
-// We use the global supabaseClient created in index.html
-const CURRENT_CHAMPIONSHIP_ID = 'b24ca658-861d-469b-8e14-419267b728ff';
+// We use the global supabaseClient created in index.html (null if the
+// Supabase script did not load); data goes through `repository` below
+
+// Championship picked through the selector or ?championship=<id or slug>
+let currentChampionshipId = null;
+let championships = []; // will be filled from DB
 
 let drivers = []; // will be filled from DB
+let carChanges = {}; // driver id -> car changes by round, filled from DB
+let teamChanges = {}; // driver id -> team changes by round, filled from DB
+let teams = []; // will be filled from DB
 let isAdmin = false;
+let currentUser = null; // signed-in user
 
-async function refreshAdminStatus() {
-  const { data: { user }, error } = await supabaseClient.auth.getUser();
-  if (error || !user) {
-    isAdmin = false;
-    return;
-  }
+// Last grid data loaded by updateStandings, patched by live updates
+let gridRaces = [];
+let gridResults = [];
+
+// Round picked in the "as of round" selector; null shows the latest standings
+let asOfRound = null;
+
+// --- Data access ---
+// Every read and write goes through `repository` (see repository.js): the
+// Supabase project, or the in-memory tables of the offline demo. Sign-in
+// and live updates stay Supabase-only.
+
+// Only an explicit ?demo runs on local data; without the Supabase script the
+// page shows an error instead of quietly switching to the demo
+const DEMO_MODE = new URLSearchParams(window.location.search).has('demo');
+
+// Stands in for the signed-in user in the offline demo
+const DEMO_USER = { id: 'demo-user', email: 'demo@localhost' };
 
-  const { data, error: adminError } = await supabaseClient
-    .from('admins')
-    .select('user_id')
-    .eq('user_id', user.id)
-    .maybeSingle();
+let repository = DEMO_MODE
+  ? createMemoryRepository(window.localStorage, null, () => currentUser)
+  : supabaseClient && createSupabaseRepository(supabaseClient);
 
-  isAdmin = !adminError && !!data;
+// --- Safe HTML ---
+// Markup that goes into innerHTML is built with the html`...` tag: every
+// interpolated value is escaped unless it is itself an html`...` result
+// (or an array of them). Names, cars, notes and anything else typed by a
+// user can then be dropped into a template as-is.
+
+const SAFE_HTML = Symbol('safe html');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
 }
 
-async function createDefaultResultsForRace(raceId, roundNumber) {
-  // 1) All active drivers in this championship
-  const { data: driverRows, error: driversError } = await supabaseClient
-    .from('drivers')
-    .select('id')
-    .eq('championship_id', CURRENT_CHAMPIONSHIP_ID)
-    .eq('active', true);
+// null, undefined and false render as nothing, so `${cond && html`...`}` works
+function renderHtmlValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  if (value[SAFE_HTML] !== undefined) return value[SAFE_HTML];
+  return escapeHtml(value);
+}
 
-  if (driversError) {
-    console.error('Error fetching drivers:', driversError.message);
-    return;
+function html(strings, ...values) {
+  let markup = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    markup += renderHtmlValue(values[i]) + strings[i + 1];
   }
 
-  // 2) All earlier races
-  const { data: previousRaces, error: prevRaceError } = await supabaseClient
-    .from('races')
-    .select('id, round_number')
-    .eq('championship_id', CURRENT_CHAMPIONSHIP_ID)
-    .lt('round_number', roundNumber);
+  return { [SAFE_HTML]: markup, toString: () => markup };
+}
 
-  if (prevRaceError) {
-    console.error('Error fetching previous races:', prevRaceError.message);
-    return;
-  }
+// --- Roles ---
+// Per championship, in championship_roles: 'owner' and 'admin' edit
+// everything (owners also manage access), 'steward' only edits penalties.
+// A row in the admins table makes a user owner of every championship.
+// Invites are stored by email and linked to the account on first sign-in.
 
-  const raceIdToRound = {};
-  const previousRaceIds = [];
-  for (const r of previousRaces || []) {
-    raceIdToRound[r.id] = r.round_number;
-    previousRaceIds.push(r.id);
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  steward: 'Steward'
+};
+
+let currentRole = null; // role in the current championship, null for visitors
+let championshipRoles = []; // filled from DB for owners
+let isGlobalAdmin = false; // row in admins: owner everywhere, may add championships
+let userRoles = {}; // championship id -> role of the signed-in user
+
+async function refreshAdminStatus() {
+  // No accounts offline: the demo user owns every championship
+  if (DEMO_MODE) {
+    currentUser = DEMO_USER;
+    isGlobalAdmin = true;
+    userRoles = {};
+  } else {
+    const { data: { user }, error } = await supabaseClient.auth.getUser();
+
+    currentUser = error ? null : user;
+    await fetchUserRoles(currentUser);
   }
 
-  // 3) Latest result row (by round) for each driver from previous races
-  const latestByDriver = {};
+  currentRole = roleIn(currentChampionshipId);
+  isAdmin = currentRole === 'owner' || currentRole === 'admin';
+}
 
-  if (previousRaceIds.length > 0) {
-    const { data: prevResults, error: prevResError } = await supabaseClient
-      .from('results')
-      .select(
-        'driver_id, race_id, ' +
-        'cp_before, pi_before, penalty_before, ' +
-        'cp_after,  pi_after,  penalty_for_next'
-      )
-      .in('race_id', previousRaceIds);
+// Fills isGlobalAdmin and userRoles for every championship at once
+async function fetchUserRoles(user) {
+  isGlobalAdmin = false;
+  userRoles = {};
+  if (!user) return;
 
-    if (prevResError) {
-      console.error('Error fetching previous results:', prevResError.message);
-      return;
-    }
+  const { data: superAdmin, error: adminError } = await repository.admins.get(user.id);
+  isGlobalAdmin = !adminError && !!superAdmin;
 
-    for (const row of prevResults || []) {
-      const dId = row.driver_id;
-      const rId = row.race_id;
-      const round = raceIdToRound[rId] || 0;
+  if (!user.email) return;
 
-      if (!latestByDriver[dId] || round > latestByDriver[dId].round_number) {
-        latestByDriver[dId] = {
-          round_number: round,
-          cp_before: row.cp_before ?? 0,
-          pi_before: row.pi_before ?? 0,
-          penalty_before: row.penalty_before ?? 0,
-          cp_after: row.cp_after ?? 0,
-          pi_after: row.pi_after ?? 0,
-          penalty_for_next: row.penalty_for_next ?? 0
-        };
-      }
-    }
-  }
+  const { data: invites, error } = await repository.championship_roles.where({
+    email: user.email.toLowerCase()
+  });
 
-  // 4) Build rows to insert for the new race
-  const rowsToInsert = driverRows.map(d => {
-    const latest = latestByDriver[d.id];
+  if (error) {
+    console.error('Error fetching roles:', error.message);
+    return;
+  }
 
-    if (!latest) {
-      // First race for this driver:
-      // bottom row will be edited manually in race 1
-      return {
-        driver_id: d.id,
-        race_id: raceId,
+  for (const invite of invites || []) {
+    userRoles[invite.championship_id] = invite.role;
 
-        cp_before: 0,
-        pi_before: 0,
-        penalty_before: 0,
+    // First sign-in since the invite: link it to the account
+    if (!invite.user_id) {
+      const { error: linkError } = await repository.championship_roles.update(invite.id, { user_id: user.id });
 
-        // top row starts empty – admin fills per race
-        cp_after: 0,
-        pi_after: 0,
-        penalty_for_next: 0
-      };
+      if (linkError) {
+        console.error('Error linking invite:', linkError.message);
+      }
     }
+  }
+}
 
-    // Later races: cumulative totals
-    const cpBeforeNew =
-      (latest.cp_before ?? 0) + (latest.cp_after ?? 0);
-    const piBeforeNew =
-      (latest.pi_before ?? 0) + (latest.pi_after ?? 0);
-    const penBeforeNew =
-      (latest.penalty_before ?? 0) + (latest.penalty_for_next ?? 0);
+function roleIn(championshipId) {
+  if (isGlobalAdmin) return 'owner';
+  return (championshipId && userRoles[championshipId]) || null;
+}
 
-    return {
-      driver_id: d.id,
-      race_id: raceId,
+function canEditChampionship(championshipId) {
+  const role = roleIn(championshipId);
+  return role === 'owner' || role === 'admin';
+}
 
-      // bottom row = previous bottom + previous top
-      cp_before: cpBeforeNew,
-      pi_before: piBeforeNew,
-      penalty_before: penBeforeNew,
+function isOwner() {
+  return currentRole === 'owner';
+}
 
-      // top row starts blank for the new race
-      cp_after: 0,
-      pi_after: 0,
-      penalty_for_next: 0
-    };
-  });
+function canEditPenalties() {
+  return isAdmin || currentRole === 'steward';
+}
 
-  // 5) Insert all default rows for this race
-  const { error: insertError } = await supabaseClient
-    .from('results')
-    .insert(rowsToInsert);
+function renderRoleStatus() {
+  const status = document.getElementById('role-status');
+  if (!status) return;
 
-  if (insertError) {
-    console.error('Error inserting default results:', insertError.message);
+  if (!currentUser) {
+    status.textContent = '';
+  } else if (currentRole) {
+    status.textContent = `Your role in this championship: ${ROLE_LABELS[currentRole]}`;
+  } else {
+    status.textContent = 'You have no edit rights in this championship.';
   }
 }
 
+async function fetchChampionshipRoles() {
+  const { data, error } = await repository.championship_roles.list(currentChampionshipId);
 
-async function createDriver(name, car) {
-  const { error } = await supabaseClient
-    .from('drivers')
-    .insert({
-      name: name,
-      car: car,
-      active: true,
-      championship_id: CURRENT_CHAMPIONSHIP_ID
-    });
+  if (error) {
+    console.error('Error fetching roles:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+// Adds an invite, or changes the role of someone already invited
+async function inviteToChampionship(email, role, championshipId = currentChampionshipId) {
+  const normalized = email.trim().toLowerCase();
+  const existing = championshipRoles.find(r => r.email === normalized && r.championship_id === championshipId);
+
+  const { data, error } = await repository.championship_roles.save({
+    championship_id: championshipId,
+    email: normalized,
+    role: role
+  });
 
   if (error) {
-    console.error("Error creating driver:", error.message);
-    alert("Error: " + error.message);
+    console.error('Error inviting user:', error.message);
+    alert('Invite failed: ' + error.message);
+    return false;
   }
+
+  await recordAudit({
+    championshipId: championshipId,
+    kind: existing ? 'update' : 'insert',
+    table: 'championship_roles',
+    rowId: data.id,
+    before: existing ? { role: existing.role } : null,
+    after: existing ? { role: role } : data,
+    summary: existing
+      ? `Changed ${normalized} from ${ROLE_LABELS[existing.role]} to ${ROLE_LABELS[role]}`
+      : `Invited ${normalized} as ${ROLE_LABELS[role]}`
+  });
+
+  return true;
 }
 
-async function deleteDriver(driverId) {
-  const { error } = await supabaseClient
-    .from('drivers')
-    .delete()
-    .eq('id', driverId);
+async function removeChampionshipRole(roleId) {
+  const before = championshipRoles.find(r => String(r.id) === String(roleId));
+  if (!before) return false;
+
+  const { error } = await repository.championship_roles.remove(roleId);
 
   if (error) {
-    console.error("Error deleting driver:", error.message);
-    alert("Delete failed: " + error.message);
+    console.error('Error removing user:', error.message);
+    alert('Remove failed: ' + error.message);
+    return false;
   }
+
+  await recordAudit({
+    kind: 'delete',
+    table: 'championship_roles',
+    rowId: roleId,
+    before: before,
+    summary: `Removed ${before.email} (${ROLE_LABELS[before.role]})`
+  });
+
+  return true;
 }
-function renderDriversAdmin(drivers) {
-  const container = document.getElementById('drivers-admin-list');
-  if (!container) return;
 
-  if (!isAdmin) {
-    container.innerHTML = "<em>Login as admin to edit drivers.</em>";
+function renderRolesAdmin(roles) {
+  const section = document.getElementById('roles-admin');
+  const container = document.getElementById('roles-admin-list');
+  if (!section || !container) return;
+
+  // Only owners see who has access
+  section.style.display = isOwner() ? '' : 'none';
+  if (!isOwner()) {
+    container.innerHTML = '';
     return;
   }
 
-  if (!drivers || drivers.length === 0) {
-    container.innerHTML = "<em>No drivers yet.</em>";
+  if (roles.length === 0) {
+    container.innerHTML = '<em>Nobody has been invited to this championship yet.</em>';
     return;
   }
 
-  let html = "<ul style='list-style:none; padding-left:0;'>";
-
-  for (const d of drivers) {
-    html += `
+  const items = roles.map(r => html`
       <li style="margin: 4px 0;">
-        ${d.name} (${d.car})
-        <button class="driver-delete-btn" data-driver-id="${d.id}">
-          Remove
-        </button>
+        ${r.email} – ${ROLE_LABELS[r.role] || r.role}${!r.user_id && html` <em>(invited)</em>`}
+        <button class="role-remove-btn" data-role-id="${r.id}">Remove</button>
       </li>
-    `;
-  }
-
-  html += "</ul>";
+    `);
 
-  container.innerHTML = html;
+  container.innerHTML = html`<ul style='list-style:none; padding-left:0;'>${items}</ul>`;
 }
 
-async function fetchDrivers() {
-  const { data, error } = await supabaseClient
-    .from('drivers')
-    .select('*')
-    .eq('active', true)
-    .eq('championship_id', CURRENT_CHAMPIONSHIP_ID);
+// --- Championships ---
+
+async function fetchChampionships() {
+  const { data, error } = await repository.championships.list();
 
   if (error) {
-    console.error('Error fetching drivers:', error.message);
+    console.error('Error fetching championships:', error.message);
     return [];
   }
 
   return data;
 }
 
-async function fetchLatestResultsPerDriver() {
-  const { data, error } = await supabaseClient
-    .from('results')
-    .select(
-      'driver_id, cp_before, cp_after, pi_before, pi_after, penalty_for_next, races(round_number)'
-    );
-
-  if (error) {
-    console.error('Error fetching results:', error.message);
-    return {};
-  }
-
-  const latest = {};
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
 
-  for (const row of (data || [])) {
-    const dId = row.driver_id;
-    const round = row.races?.round_number ?? 0;
+// ?championship= accepts either the championship id or its slug.
+// Falls back to the first non-archived championship.
+function findChampionshipFromUrl(list) {
+  const wanted = new URLSearchParams(window.location.search).get('championship');
 
-    if (!latest[dId] || round > (latest[dId].races?.round_number ?? 0)) {
-      latest[dId] = row;
-    }
+  if (wanted) {
+    const match = list.find(c => c.id === wanted || c.slug === wanted);
+    if (match) return match;
   }
 
-  return latest;
+  return list.find(c => !c.archived) || list[0] || null;
 }
 
+function writeChampionshipToUrl(championship) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('championship', championship.slug || championship.id);
+  window.history.replaceState(null, '', url);
+}
 
-function computeStandings(drivers, latestResultsByDriver) {
-  for (const driver of drivers) {
-    const latest = latestResultsByDriver[driver.id];
+async function selectChampionship(championshipId) {
+  const championship = championships.find(c => c.id === championshipId);
+  if (!championship) return;
 
-    if (!latest) {
-      driver.current_cp = 0;
-      driver.current_pi = 0;
-      driver.current_penalty = 0;
-      driver.effective_pi = 0;
-    } else {
-      const cpBefore = latest.cp_before ?? 0;
-      const cpAfter  = latest.cp_after  ?? 0;
-      const piBefore = latest.pi_before ?? 0;
-      const piAfter  = latest.pi_after  ?? 0;
-      const penNext  = latest.penalty_for_next ?? 0;
+  currentChampionshipId = championship.id;
+  writeChampionshipToUrl(championship);
+  renderChampionshipSelect(championships);
 
-      const totalCp = cpBefore + cpAfter;
-      const totalPi = piBefore + piAfter;
+  // Roles are per championship
+  await refreshAdminStatus();
 
-      // These are what you show under the driver name
-      driver.current_cp = totalCp;
-      driver.current_pi = totalPi;
-      driver.current_penalty = penNext;
+  drivers = await fetchDrivers();
+  await updateStandings();
 
-      // Optional: PI after applying next-race penalty
-      driver.effective_pi = Math.max(0, totalPi - penNext);
-    }
-  }
+  subscribeToLiveUpdates();
+}
 
-  // Order by TOTAL CP (then by total PI as tie-breaker)
-  drivers.sort((a, b) => {
-    if (b.current_cp !== a.current_cp) {
-      return b.current_cp - a.current_cp;
-    }
-    return b.current_pi - a.current_pi;
+async function createChampionship(name, slug) {
+  const { data, error } = await repository.championships.create({
+    name: name,
+    slug: slugify(slug || name),
+    archived: false
   });
 
-  let place = 1;
-  for (const driver of drivers) {
-    driver.place = place++;
+  if (error) {
+    console.error('Error creating championship:', error.message);
+    alert('Could not create championship: ' + error.message);
+    return null;
   }
-}
 
+  // Deleting a whole championship is not offered as an undo
+  await recordAudit({
+    championshipId: data.id,
+    kind: 'insert',
+    table: 'championships',
+    rowId: data.id,
+    after: data,
+    summary: `Created championship ${name}`,
+    undoable: false
+  });
 
-async function updateStandings() {
-  // 1) latest results per driver → compute places and current CP/PI/penalty
-  const latest = await fetchLatestResultsPerDriver();
-  computeStandings(drivers, latest);
-
-  // 2) fetch full grid data
-  const races = await fetchRaces();
-  const allResults = await fetchAllResults();
-  const resultMap = indexResultsByDriverAndRace(allResults);
+  return data;
+}
 
-  // 3) render main championship grid
-  renderGrid(drivers, races, resultMap);
+async function renameChampionship(championshipId, name) {
+  const { error } = await repository.championships.update(championshipId, { name: name });
 
-  // 4) render drivers admin panel
-  renderDriversAdmin(drivers);
+  if (error) {
+    console.error('Error renaming championship:', error.message);
+    alert('Rename failed: ' + error.message);
+    return;
+  }
 
-  renderRacesAdmin(races);
+  const championship = championships.find(c => c.id === championshipId);
+  await recordAudit({
+    championshipId: championshipId,
+    kind: 'update',
+    table: 'championships',
+    rowId: championshipId,
+    before: { name: championship?.name ?? null },
+    after: { name: name },
+    summary: `Renamed championship ${championship?.name ?? ''} to ${name}`
+  });
 }
 
-async function fetchRaces() {
-  const { data, error } = await supabaseClient
-    .from('races')
-    .select('*')
-    .eq('championship_id', CURRENT_CHAMPIONSHIP_ID)
-    .order('round_number', { ascending: true });
+async function setChampionshipArchived(championshipId, archived) {
+  const { error } = await repository.championships.update(championshipId, { archived: archived });
 
   if (error) {
-    console.error('Error fetching races:', error.message);
-    return [];
+    console.error('Error archiving championship:', error.message);
+    alert('Archive failed: ' + error.message);
+    return;
   }
 
-  return data;
+  const championship = championships.find(c => c.id === championshipId);
+  await recordAudit({
+    championshipId: championshipId,
+    kind: 'update',
+    table: 'championships',
+    rowId: championshipId,
+    before: { archived: !archived },
+    after: { archived: archived },
+    summary: `${archived ? 'Archived' : 'Unarchived'} championship ${championship?.name ?? ''}`
+  });
 }
 
-async function deleteRace(raceId) {
-  const { error } = await supabaseClient
-    .from('races')
-    .delete()
-    .eq('id', raceId);
+function renderChampionshipSelect(list) {
+  const select = document.getElementById('championship-select');
+  if (!select) return;
 
-  if (error) {
-    console.error('Error deleting race:', error.message);
-    alert('Delete failed: ' + error.message);
-  }
+  select.innerHTML = html`${list.map(c => html`
+    <option value="${c.id}"${c.id === currentChampionshipId ? ' selected' : ''}>${c.archived ? `${c.name} (archived)` : c.name}</option>
+  `)}`;
 }
 
-function renderRacesAdmin(races) {
-  const container = document.getElementById('races-admin-list');
+// Rights are per championship: rename/archive where the user is owner or
+// admin, adding championships only for global admins
+function renderChampionshipsAdmin(list) {
+  const container = document.getElementById('championships-admin-list');
   if (!container) return;
 
-  if (!isAdmin) {
-    container.innerHTML = '<em>Login as admin to edit races.</em>';
+  const createForm = document.getElementById('new-championship-form');
+  if (createForm) createForm.style.display = isGlobalAdmin ? '' : 'none';
+
+  const editable = (list || []).filter(c => canEditChampionship(c.id));
+
+  if (!isGlobalAdmin && editable.length === 0) {
+    container.innerHTML = '<em>Login as admin to edit championships.</em>';
     return;
   }
 
-  if (!races || races.length === 0) {
-    container.innerHTML = '<em>No races yet.</em>';
+  if (editable.length === 0) {
+    container.innerHTML = '<em>No championships yet.</em>';
     return;
   }
 
-  let html = "<ul style='list-style:none; padding-left:0;'>";
-
-  for (const r of races) {
-    const label = r.name ? r.name : `Race ${r.round_number}`;
-    const dateText = r.race_date ? ` (${r.race_date})` : '';
-
-    html += `
+  const items = editable.map(c => html`
       <li style="margin: 4px 0;">
-        ${r.round_number}. ${label}${dateText}
-        <button class="race-delete-btn" data-race-id="${r.id}">
-          Remove
+        ${c.name}${c.slug ? ` [${c.slug}]` : ''}${c.archived ? ' (archived)' : ''}
+        <button class="championship-rename-btn" data-championship-id="${c.id}">
+          Rename
+        </button>
+        <button class="championship-archive-btn" data-championship-id="${c.id}" data-archived="${c.archived ? '1' : '0'}">
+          ${c.archived ? 'Unarchive' : 'Archive'}
         </button>
       </li>
-    `;
-  }
+    `);
 
-  html += "</ul>";
+  container.innerHTML = html`<ul style='list-style:none; padding-left:0;'>${items}</ul>`;
+}
 
-  container.innerHTML = html;
+async function reloadChampionships() {
+  championships = await fetchChampionships();
+  renderChampionshipSelect(championships);
+  renderChampionshipsAdmin(championships);
 }
 
 
-async function fetchAllResults() {
-  const { data, error } = await supabaseClient
-    .from('results')
-    .select('id, driver_id, race_id, cp_before, pi_before, penalty_before, cp_after, pi_after, penalty_for_next');
+// fromRound: first round the driver races in. Earlier races get
+// did-not-start rows so the grid and the carry-over chain stay complete.
+async function createDriver(name, car, fromRound = null) {
+  const { data: newDriver, error } = await repository.drivers.create({
+    name: name,
+    car: car,
+    active: true,
+    status: 'active',
+    championship_id: currentChampionshipId
+  });
 
   if (error) {
-    console.error('Error fetching all results:', error.message);
-    return [];
+    console.error("Error creating driver:", error.message);
+    alert("Error: " + error.message);
+    return null;
   }
 
-  return data;
-}
+  await recordAudit({
+    kind: 'insert',
+    table: 'drivers',
+    rowId: newDriver.id,
+    driverId: newDriver.id,
+    after: newDriver,
+    summary: `Added driver ${name}`
+  });
 
-function indexResultsByDriverAndRace(results) {
-  const map = {};
-  for (const r of results) {
-    const key = `${r.driver_id}_${r.race_id}`;
-    map[key] = r;
+  if (fromRound !== null) {
+    await backfillDriverResults(newDriver.id, fromRound);
   }
-  return map;
+
+  return newDriver;
 }
 
-async function createRace(name, dateString) {
-  const { data: existing, error: fetchError } = await supabaseClient
-    .from('races')
-    .select('round_number')
-    .eq('championship_id', CURRENT_CHAMPIONSHIP_ID)
-    .order('round_number', { ascending: false })
-    .limit(1);
+// Adds the missing results rows for one driver: did-not-start for races
+// already run before fromRound, ordinary default rows for the rest
+// (fromRound Infinity: the driver starts at the next race to be run).
+async function backfillDriverResults(driverId, fromRound) {
+  const races = await fetchRaces();
+  const allResults = await fetchAllResults();
 
-  if (fetchError) {
-    console.error('Error reading races:', fetchError.message);
-    alert('Could not load races: ' + fetchError.message);
+  // A race has been run once anyone has a finish in it
+  const runRaceIds = new Set(allResults.filter(hasFinish).map(r => r.race_id));
+
+  const existingRaceIds = new Set(
+    allResults.filter(r => r.driver_id === driverId).map(r => r.race_id)
+  );
+
+  const missing = races
+    .filter(race => !existingRaceIds.has(race.id))
+    .map(race => ({
+      driver_id: driverId,
+      race_id: race.id,
+      dns: race.round_number < fromRound && runRaceIds.has(race.id),
+      cp_before: 0,
+      pi_before: 0,
+      penalty_before: 0,
+      cp_after: 0,
+      pi_after: 0,
+      penalty_for_next: 0
+    }));
+
+  if (missing.length === 0) return;
+
+  const { error } = await repository.results.insert(missing);
+
+  if (error) {
+    console.error("Error backfilling results:", error.message);
+    alert("Could not add past results rows: " + error.message);
     return;
   }
 
-  const maxRound = existing && existing.length > 0 ? existing[0].round_number : 0;
-  const nextRound = (maxRound || 0) + 1;
+  // New rows start at zero; carry this driver's totals through them
+  const driverRows = (await fetchAllResults()).filter(r => r.driver_id === driverId);
+  if (await applyPenaltyRecords(driverRows)) {
+    await applyCarryOverChanges(planSeasonCarryOver(driverRows, penalties));
+  }
+}
 
-  const displayName = name?.trim() || `Race ${nextRound}`;
-  const raceDate = dateString?.trim() || null;
+// status: 'active', 'withdrawn' or 'retired'. Inactive drivers keep their
+// results but get no rows for races created afterwards.
+async function setDriverStatus(driverId, status) {
+  const driver = drivers.find(d => String(d.id) === String(driverId));
 
-  const { data: newRace, error: insertError } = await supabaseClient
-    .from('races')
-    .insert({
-      round_number: nextRound,
-      name: displayName,
-      race_date: raceDate,
-      championship_id: CURRENT_CHAMPIONSHIP_ID
-    })
-    .select()
-    .single();
+  const { error } = await repository.drivers.update(driverId, { status: status, active: status === 'active' });
 
-  if (insertError) {
-    console.error('Error creating race:', insertError.message);
-    alert('Could not create race: ' + insertError.message);
-    return;
+  if (error) {
+    console.error("Error updating driver:", error.message);
+    alert("Update failed: " + error.message);
+    return false;
   }
 
-  await createDefaultResultsForRace(newRace.id, nextRound);
+  await recordAudit({
+    kind: 'update',
+    table: 'drivers',
+    rowId: driverId,
+    driverId: driverId,
+    before: { status: driver?.status ?? null, active: driver?.active ?? null },
+    after: { status: status, active: status === 'active' },
+    summary: `${driver ? driver.name : 'Driver'} marked ${status}`
+  });
 
-  return newRace;
+  return true;
 }
 
+async function reactivateDriver(driverId) {
+  if (!(await setDriverStatus(driverId, 'active'))) return;
 
-function renderGrid(drivers, races, resultMap) {
-  const headerRow = document.getElementById('grid-header-row');
-  const tbody = document.getElementById('grid-body');
+  // Races held while the driver was out become did-not-start rows
+  await backfillDriverResults(driverId, Infinity);
+}
 
-  headerRow.innerHTML = '';
-  tbody.innerHTML = '';
+// --- Driver details, car and team changes ---
+// driver_car_changes and driver_team_changes record which car and team a
+// driver had from a given round on; drivers.car and drivers.team_id always
+// hold the value from the latest change.
 
-  // Header: first column is the driver info
-  const firstTh = document.createElement('th');
-  firstTh.textContent = 'Driver / Race';
-  headerRow.appendChild(firstTh);
+const DRIVER_CHANGE_TABLES = {
+  car: 'driver_car_changes',
+  team_id: 'driver_team_changes'
+};
 
-  // One header per race
-  for (const race of races) {
-    const th = document.createElement('th');
-    const raceLabel = race.name ? race.name : `Race ${race.round_number}`;
+// field: 'car' or 'team_id'. Returns driver id -> changes by round.
+async function fetchDriverChanges(field) {
+  const { data, error } = await repository[DRIVER_CHANGE_TABLES[field]].list(currentChampionshipId);
 
-    th.innerHTML = `
-      <div>${raceLabel}</div>
-      <div style="font-size:0.85em; opacity:0.7;">CP | PI | Pen</div>
-    `;
-    headerRow.appendChild(th);
+  if (error) {
+    console.error(`Error fetching ${field} changes:`, error.message);
+    return {};
   }
 
-  // One row per driver
-  for (const driver of drivers) {
-    const tr = document.createElement('tr');
+  const byDriver = {};
+  for (const c of data || []) {
+    (byDriver[c.driver_id] = byDriver[c.driver_id] || []).push(c);
+  }
 
-    const leftTd = document.createElement('td');
-    const placeText = driver.place ? `${driver.place}. ` : '';
-    const effectivePi = driver.effective_pi ?? driver.current_pi ?? 0;
-
-    leftTd.innerHTML = `
-      <div>${placeText}${driver.name}</div>
-      <div style="font-size:0.85em; opacity:0.8;">${driver.car}</div>
-      <div style="font-size:0.8em; opacity:0.8; margin-top:2px;">
-        CP: ${driver.current_cp ?? 0} | PI: ${effectivePi}
-      </div>
-    `;
-    tr.appendChild(leftTd);
+  return byDriver;
+}
 
-    // Each race cell
-    for (const race of races) {
-      const td = document.createElement('td');
-      const key = `${driver.id}_${race.id}`;
-      const r = resultMap[key];
+function valueForRound(history, driver, field, round) {
+  let value = driver[field];
 
-      if (!r) {
-        td.innerHTML = '<div style="opacity:0.4;">-</div>';
-      } else {
-        const cpBefore   = r.cp_before ?? 0;
-        const piBefore   = r.pi_before ?? 0;
-        const penBefore  = r.penalty_before ?? 0;
+  for (const c of history[driver.id] || []) {
+    if (c.from_round <= round) {
+      value = c[field];
+    }
+  }
 
-        const cpAfter    = r.cp_after ?? cpBefore;
-        const piAfter    = r.pi_after ?? piBefore;
-        const penNext    = r.penalty_for_next ?? penBefore;
+  return value;
+}
 
-        const dCp  = cpAfter - cpBefore;
-        const dPi  = piAfter - piBefore;
-        const dPen = penNext - penBefore;
+function carForRound(driver, round) {
+  return valueForRound(carChanges, driver, 'car', round);
+}
 
-        if (!isAdmin) {
-          // read-only view
-          td.innerHTML = `
-            <div>${dCp} | ${dPi} | ${dPen}</div>
-            <div style="font-size:0.85em; opacity:0.8;">
-              ${cpBefore} | ${piBefore} | ${penBefore}
-            </div>
-          `;
-        } else {
-          // editable mini-grid
-          td.innerHTML = `
-            <div style="display:grid; grid-template-columns:repeat(3,1fr); gap:2px; margin-bottom:2px;">
-              <input type="number" id="cp_after_${r.id}" value="${cpAfter}"  style="width:100%; box-sizing:border-box;" />
-              <input type="number" id="pi_after_${r.id}" value="${piAfter}"  style="width:100%; box-sizing:border-box;" />
-              <input type="number" id="pen_next_${r.id}" value="${penNext}"  style="width:100%; box-sizing:border-box;" />
-            </div>
-            <div style="display:grid; grid-template-columns:repeat(3,1fr); gap:2px; font-size:0.85em;">
-              <input type="number" id="cp_before_${r.id}" value="${cpBefore}" style="width:100%; box-sizing:border-box;" />
-              <input type="number" id="pi_before_${r.id}" value="${piBefore}" style="width:100%; box-sizing:border-box;" />
-              <input type="number" id="pen_before_${r.id}" value="${penBefore}" style="width:100%; box-sizing:border-box;" />
-            </div>
-            <button class="cell-save" data-result-id="${r.id}" style="margin-top:2px; font-size:0.75em;">
-              Save
-            </button>
-          `;
-        }
-      }
+function teamForRound(driver, round, history = teamChanges) {
+  return valueForRound(history, driver, 'team_id', round) ?? null;
+}
 
-      tr.appendChild(td);
+// Records a new car or team from fromRound on (null: a correction, which
+// clears the history). Returns the value for the driver row, or undefined
+// if the write failed.
+async function recordDriverChange(driver, field, value, fromRound, history) {
+  const table = repository[DRIVER_CHANGE_TABLES[field]];
+
+  if (fromRound === null) {
+    const { error } = await table.removeWhere({ driver_id: driver.id });
+
+    if (error) {
+      console.error('Error clearing change history:', error.message);
+      alert('Update failed: ' + error.message);
+      return undefined;
     }
 
-    tbody.appendChild(tr);
+    return value;
   }
-}
 
-async function saveResultFromCell(resultId) {
-  const cpBefore  = parseInt(document.getElementById(`cp_before_${resultId}`).value || '0', 10);
-  const piBefore  = parseInt(document.getElementById(`pi_before_${resultId}`).value || '0', 10);
-  const penBefore = parseInt(document.getElementById(`pen_before_${resultId}`).value || '0', 10);
+  const rows = [{ driver_id: driver.id, [field]: value, from_round: fromRound }];
 
-  const cpAfter   = parseInt(document.getElementById(`cp_after_${resultId}`).value || '0', 10);
-  const piAfter   = parseInt(document.getElementById(`pi_after_${resultId}`).value || '0', 10);
-  const penNext   = parseInt(document.getElementById(`pen_next_${resultId}`).value || '0', 10);
+  // First change: remember the original value for the earlier rounds
+  if (!history[driver.id] && fromRound > 1) {
+    rows.push({ driver_id: driver.id, [field]: driver[field] ?? null, from_round: 1 });
+  }
 
-  const { error } = await supabaseClient
-    .from('results')
-    .update({
-      cp_before: cpBefore,
-      pi_before: piBefore,
-      penalty_before: penBefore,
-      cp_after: cpAfter,
-      pi_after: piAfter,
-      penalty_for_next: penNext,
-    })
-    .eq('id', resultId);
+  const { error } = await table.save(rows);
 
   if (error) {
-    console.error('Error saving result:', error.message);
-    alert('Save failed: ' + error.message);
-    return;
+    console.error('Error recording change:', error.message);
+    alert('Update failed: ' + error.message);
+    return undefined;
   }
 
-  await updateStandings();
+  const all = [...(history[driver.id] || []).filter(c => c.from_round !== fromRound), ...rows]
+    .sort((a, b) => a.from_round - b.from_round);
+  return all[all.length - 1][field];
 }
 
-// --- Auth (basic email/password) ---
+// One driver's car or team history as plain rows, or null if it could
+// not be read
+async function fetchDriverHistory(driverId, field) {
+  const { data, error } = await repository[DRIVER_CHANGE_TABLES[field]].where({ driver_id: driverId });
 
-async function login() {
-  const email = document.getElementById('login-email').value;
-  const password = document.getElementById('login-password').value;
+  if (error) {
+    console.error(`Error reading ${field} changes:`, error.message);
+    return null;
+  }
 
-  const { data, error } = await supabaseClient.auth.signInWithPassword({
-    email,
-    password,
-  });
+  return (data || [])
+    .map(c => ({ driver_id: c.driver_id, [field]: c[field], from_round: c.from_round }))
+    .sort((a, b) => a.from_round - b.from_round);
+}
 
-  const status = document.getElementById('login-status');
+// Puts back one driver's car or team history as it was (undo)
+async function replaceDriverHistory(driverId, field, rows) {
+  const table = repository[DRIVER_CHANGE_TABLES[field]];
 
-  if (error) {
-    status.textContent = 'Login failed: ' + error.message;
-    return;
+  let { error } = await table.removeWhere({ driver_id: driverId });
+  if (!error && rows.length > 0) {
+    ({ error } = await table.save(rows));
   }
 
-  status.textContent = 'Logged in as: ' + email;
-  document.getElementById('login-button').style.display = 'none';
-  document.getElementById('logout-button').style.display = 'inline-block';
+  if (error) {
+    console.error('Error restoring driver changes:', error.message);
+    alert('Could not restore the car and team history: ' + error.message);
+    return false;
+  }
 
-  await refreshAdminStatus();
-  await updateStandings(); // redraw with edit controls if admin
+  return true;
 }
 
-async function logout() {
+// fromRound: round a new car or team counts from, or null to correct it
+// for every round (e.g. a typo)
+async function updateDriver(driverId, { name, number, car, fromRound, teamId }) {
+  const driver = drivers.find(d => String(d.id) === String(driverId));
+  if (!driver) return false;
+
+  const changes = { name: name, number: number };
+
+  // The history rows are logged with the driver row so undo can put them back
+  const historyBefore = {};
+  const changedFields = [];
+  if (car !== driver.car) changedFields.push(['car', car, carChanges]);
+  if (String(teamId ?? '') !== String(driver.team_id ?? '')) changedFields.push(['team_id', teamId, teamChanges]);
+
+  for (const [field, value, history] of changedFields) {
+    historyBefore[field] = await fetchDriverHistory(driver.id, field);
+    if (!historyBefore[field]) {
+      alert('Update failed: could not read the car and team history.');
+      return false;
+    }
+
+    changes[field] = await recordDriverChange(driver, field, value, fromRound, history);
+    if (changes[field] === undefined) return false;
+  }
+
+  const { error } = await repository.drivers.update(driver.id, changes);
+
+  if (error) {
+    console.error('Error updating driver:', error.message);
+    alert('Update failed: ' + error.message);
+    return false;
+  }
+
+  const before = {};
+  for (const key of Object.keys(changes)) {
+    before[key] = driver[key] ?? null;
+  }
+
+  const after = { ...changes };
+  if (changedFields.length > 0) {
+    before.history = historyBefore;
+    after.history = {};
+    for (const field of Object.keys(historyBefore)) {
+      after.history[field] = (await fetchDriverHistory(driver.id, field)) ?? [];
+    }
+  }
+
+  await recordAudit({
+    kind: 'update',
+    table: 'drivers',
+    rowId: driver.id,
+    driverId: driver.id,
+    before: before,
+    after: after,
+    summary: `Edited driver ${driver.name}${name !== driver.name ? ` (now ${name})` : ''}`
+  });
+
+  return true;
+}
+
+function formatDriverName(driver) {
+  return driver.number !== null && driver.number !== undefined
+    ? `#${driver.number} ${driver.name}`
+    : driver.name;
+}
+
+// Hard delete, only offered for drivers without results (e.g. typos)
+async function deleteDriver(driverId) {
+  const before = await fetchRow('drivers', driverId);
+  if (!before) return;
+
+  const { error } = await repository.drivers.remove(driverId);
+
+  if (error) {
+    console.error("Error deleting driver:", error.message);
+    alert("Delete failed: " + error.message);
+    return;
+  }
+
+  await recordAudit({
+    kind: 'delete',
+    table: 'drivers',
+    rowId: driverId,
+    driverId: driverId,
+    before: before,
+    summary: `Deleted driver ${before.name}`
+  });
+}
+
+function renderDriverFromRoundSelect(races) {
+  const select = document.getElementById('new-driver-from-round');
+  if (!select) return;
+
+  const options = [html`<option value="">From the next race</option>`];
+  for (const r of races) {
+    const label = r.name ? r.name : `Race ${r.round_number}`;
+    options.push(html`<option value="${r.round_number}">From ${r.round_number}. ${label}</option>`);
+  }
+
+  select.innerHTML = html`${options}`;
+}
+
+let editingDriverId = null;
+
+function renderDriverEditForm(d) {
+  const roundOptions = [html`<option value="">All rounds (correction)</option>`];
+  for (const r of gridRaces) {
+    const label = r.name ? r.name : `Race ${r.round_number}`;
+    roundOptions.push(html`<option value="${r.round_number}">From ${r.round_number}. ${label}</option>`);
+  }
+
+  const teamOptions = [html`<option value="">No team</option>`];
+  for (const t of teams) {
+    const selected = String(t.id) === String(d.team_id) ? ' selected' : '';
+    teamOptions.push(html`<option value="${t.id}"${selected}>${t.name}</option>`);
+  }
+
+  return html`
+    <li style="margin: 4px 0;" data-driver-id="${d.id}">
+      <input class="driver-edit-number" type="number" min="0" value="${d.number ?? ''}" placeholder="No." style="width:4em;">
+      <input class="driver-edit-name" value="${d.name}" placeholder="Driver name">
+      <input class="driver-edit-car" value="${d.car}" placeholder="Car">
+      <select class="driver-edit-car-from" title="When a car or team change takes effect">${roundOptions}</select>
+      <select class="driver-edit-team" title="Team">${teamOptions}</select>
+      <button class="driver-save-btn" data-driver-id="${d.id}">Save</button>
+      <button class="driver-cancel-btn">Cancel</button>
+    </li>
+  `;
+}
+
+function renderDriversAdmin(drivers) {
+  const container = document.getElementById('drivers-admin-list');
+  if (!container) return;
+
+  renderDriverFromRoundSelect(gridRaces);
+
+  if (!isAdmin) {
+    container.innerHTML = "<em>Login as admin to edit drivers.</em>";
+    return;
+  }
+
+  if (!drivers || drivers.length === 0) {
+    container.innerHTML = "<em>No drivers yet.</em>";
+    return;
+  }
+
+  const items = [];
+
+  const driversWithResults = new Set(gridResults.map(r => r.driver_id));
+
+  for (const d of drivers) {
+    if (String(d.id) === String(editingDriverId)) {
+      items.push(renderDriverEditForm(d));
+      continue;
+    }
+
+    const statusText = d.active ? '' : html` <em>(${d.status || 'withdrawn'})</em>`;
+    const teamText = d.team_id ? ` – ${teamName(d.team_id)}` : '';
+
+    const actions = [html`<button class="driver-edit-btn" data-driver-id="${d.id}">Edit</button>`];
+    if (d.active) {
+      actions.push(html`<button class="driver-status-btn" data-driver-id="${d.id}" data-status="withdrawn">Withdraw</button>`);
+      actions.push(html`<button class="driver-status-btn" data-driver-id="${d.id}" data-status="retired">Retire</button>`);
+    } else {
+      actions.push(html`<button class="driver-status-btn" data-driver-id="${d.id}" data-status="active">Reactivate</button>`);
+    }
+    if (!driversWithResults.has(d.id)) {
+      actions.push(html`<button class="driver-delete-btn" data-driver-id="${d.id}">Delete</button>`);
+    }
+
+    items.push(html`
+      <li style="margin: 4px 0;">
+        ${formatDriverName(d)} (${d.car})${teamText}${statusText}
+        ${actions}
+      </li>
+    `);
+  }
+
+  container.innerHTML = html`<ul style='list-style:none; padding-left:0;'>${items}</ul>`;
+}
+
+async function fetchDrivers() {
+  const { data, error } = await repository.drivers.list(currentChampionshipId);
+
+  if (error) {
+    console.error('Error fetching drivers:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+
+// --- Tie-breakers ---
+// Stored per championship in championships.tie_breakers (jsonb) as an
+// ordered list of rule keys, e.g. ["countback", "latest_race"]; the rules
+// are TIE_BREAK_RULES in standings.js.
+
+// Matches the old CP-then-PI ordering
+const DEFAULT_TIE_BREAKERS = ['pi'];
+
+function getTieBreakers() {
+  const rules = getCurrentChampionship()?.tie_breakers;
+
+  if (!Array.isArray(rules)) {
+    return DEFAULT_TIE_BREAKERS;
+  }
+
+  return rules.filter(key => TIE_BREAK_RULES[key]);
+}
+
+async function saveTieBreakers(ruleKeys) {
+  const { error } = await repository.championships.update(currentChampionshipId, { tie_breakers: ruleKeys });
+
+  if (error) {
+    console.error('Error saving tie-breakers:', error.message);
+    alert('Could not save tie-breakers: ' + error.message);
+    return false;
+  }
+
+  const championship = getCurrentChampionship();
+  await recordAudit({
+    kind: 'update',
+    table: 'championships',
+    rowId: currentChampionshipId,
+    before: { tie_breakers: championship?.tie_breakers ?? null },
+    after: { tie_breakers: ruleKeys },
+    summary: 'Changed the tie-breakers'
+  });
+
+  if (championship) {
+    championship.tie_breakers = ruleKeys;
+  }
+
+  return true;
+}
+
+// Ordered rule list with up/down/remove buttons and an "add rule" select.
+// btnClass tells the delegated click handlers which list was clicked.
+function renderRuleList(ruleDefs, activeKeys, btnClass) {
+  const items = activeKeys.map((key, index) => html`
+      <li style="margin: 4px 0;">
+        ${ruleDefs[key].label}
+        <button class="${btnClass}" data-action="up" data-index="${index}"${index === 0 ? ' disabled' : ''}>▲</button>
+        <button class="${btnClass}" data-action="down" data-index="${index}"${index === activeKeys.length - 1 ? ' disabled' : ''}>▼</button>
+        <button class="${btnClass}" data-action="remove" data-index="${index}">Remove</button>
+      </li>
+    `);
+
+  const unused = Object.keys(ruleDefs).filter(key => !activeKeys.includes(key));
+  const addControls = unused.length > 0 && html`
+    <select class="${btnClass}-add">
+      ${unused.map(key => html`<option value="${key}">${ruleDefs[key].label}</option>`)}
+    </select>
+    <button class="${btnClass}" data-action="add">Add rule</button>
+  `;
+
+  return html`<ol style='padding-left:20px;'>${items}</ol>${addControls}`;
+}
+
+// Returns the new rule order after a click on one of renderRuleList's buttons
+function applyRuleListAction(activeKeys, btn, container) {
+  const keys = [...activeKeys];
+  const index = parseInt(btn.dataset.index, 10);
+
+  if (btn.dataset.action === 'add') {
+    keys.push(container.querySelector(`.${btn.classList[0]}-add`).value);
+  } else if (btn.dataset.action === 'remove') {
+    keys.splice(index, 1);
+  } else {
+    const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+    [keys[index], keys[target]] = [keys[target], keys[index]];
+  }
+
+  return keys;
+}
+
+function renderTieBreakersAdmin() {
+  const container = document.getElementById('tie-breakers-admin');
+  if (!container) return;
+
+  if (!isAdmin) {
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = renderRuleList(TIE_BREAK_RULES, getTieBreakers(), 'tie-breaker-btn');
+}
+
+// --- Counting rule (best N rounds / drop worst M) ---
+// Stored per championship in championships.counting_rule (jsonb):
+// { mode: 'all' | 'best' | 'drop', count: N }
+
+const COUNTING_MODES = {
+  all: 'Count every round',
+  best: 'Count best N rounds',
+  drop: 'Drop worst M rounds'
+};
+
+function getCountingRule() {
+  const rule = getCurrentChampionship()?.counting_rule;
+
+  if (!rule || !COUNTING_MODES[rule.mode]) {
+    return { mode: 'all', count: 0 };
+  }
+
+  return rule;
+}
+
+async function saveCountingRule(rule) {
+  const { error } = await repository.championships.update(currentChampionshipId, { counting_rule: rule });
+
+  if (error) {
+    console.error('Error saving counting rule:', error.message);
+    alert('Could not save counting rule: ' + error.message);
+    return false;
+  }
+
+  const championship = getCurrentChampionship();
+  await recordAudit({
+    kind: 'update',
+    table: 'championships',
+    rowId: currentChampionshipId,
+    before: { counting_rule: championship?.counting_rule ?? null },
+    after: { counting_rule: rule },
+    summary: 'Changed the counted rounds'
+  });
+
+  if (championship) {
+    championship.counting_rule = rule;
+  }
+
+  return true;
+}
+
+function renderCountingRuleAdmin() {
+  const container = document.getElementById('counting-rule-admin');
+  if (!container) return;
+
+  if (!isAdmin) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const rule = getCountingRule();
+
+  const options = [];
+  for (const mode of Object.keys(COUNTING_MODES)) {
+    const selected = mode === rule.mode ? ' selected' : '';
+    options.push(html`<option value="${mode}"${selected}>${COUNTING_MODES[mode]}</option>`);
+  }
+
+  container.innerHTML = html`
+    <select id="counting-mode">${options}</select>
+    <input id="counting-count" type="number" min="0" value="${rule.count}" style="width:4em;">
+    <button id="save-counting-rule-button">Save counting rule</button>
+  `;
+}
+
+
+// --- Teams and constructors' standings ---
+// Drivers belong to a team through drivers.team_id, per round through
+// driver_team_changes (teamForRound). Constructors' CP is the
+// sum of each race's CP gains of the team's drivers, optionally only the
+// best N drivers per race. Settings live in championships.constructors
+// (jsonb): { drivers_per_race: N (0 = all), tie_breakers: [...] }.
+
+const CONSTRUCTOR_TIE_BREAK_RULES = {
+  countback: TIE_BREAK_RULES.countback,
+  latest_race: TIE_BREAK_RULES.latest_race
+};
+
+const DEFAULT_CONSTRUCTOR_SETTINGS = {
+  drivers_per_race: 0,
+  tie_breakers: ['countback']
+};
+
+function getConstructorSettings() {
+  const settings = getCurrentChampionship()?.constructors || {};
+
+  return {
+    drivers_per_race: settings.drivers_per_race ?? DEFAULT_CONSTRUCTOR_SETTINGS.drivers_per_race,
+    tie_breakers: Array.isArray(settings.tie_breakers)
+      ? settings.tie_breakers.filter(key => CONSTRUCTOR_TIE_BREAK_RULES[key])
+      : DEFAULT_CONSTRUCTOR_SETTINGS.tie_breakers
+  };
+}
+
+async function saveConstructorSettings(settings) {
+  const { error } = await repository.championships.update(currentChampionshipId, { constructors: settings });
+
+  if (error) {
+    console.error('Error saving constructors settings:', error.message);
+    alert('Could not save constructors settings: ' + error.message);
+    return false;
+  }
+
+  const championship = getCurrentChampionship();
+  await recordAudit({
+    kind: 'update',
+    table: 'championships',
+    rowId: currentChampionshipId,
+    before: { constructors: championship?.constructors ?? null },
+    after: { constructors: settings },
+    summary: "Changed the constructors' settings"
+  });
+
+  if (championship) {
+    championship.constructors = settings;
+  }
+
+  return true;
+}
+
+async function fetchTeams() {
+  const { data, error } = await repository.teams.list(currentChampionshipId);
+
+  if (error) {
+    console.error('Error fetching teams:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+async function createTeam(name) {
+  const { data, error } = await repository.teams.create({ name: name, championship_id: currentChampionshipId });
+
+  if (error) {
+    console.error('Error creating team:', error.message);
+    alert('Error: ' + error.message);
+    return false;
+  }
+
+  await recordAudit({
+    kind: 'insert',
+    table: 'teams',
+    rowId: data.id,
+    after: data,
+    summary: `Added team ${name}`
+  });
+
+  return true;
+}
+
+async function renameTeam(teamId, name) {
+  const { error } = await repository.teams.update(teamId, { name: name });
+
+  if (error) {
+    console.error('Error renaming team:', error.message);
+    alert('Rename failed: ' + error.message);
+    return false;
+  }
+
+  await recordAudit({
+    kind: 'update',
+    table: 'teams',
+    rowId: teamId,
+    before: { name: teamName(teamId) },
+    after: { name: name },
+    summary: `Renamed team ${teamName(teamId)} to ${name}`
+  });
+
+  return true;
+}
+
+// Drivers of a deleted team become unassigned (on delete set null);
+// undo brings the team back but not the assignments
+async function deleteTeam(teamId) {
+  const before = await fetchRow('teams', teamId);
+  if (!before) return false;
+
+  const { error } = await repository.teams.remove(teamId);
+
+  if (error) {
+    console.error('Error deleting team:', error.message);
+    alert('Delete failed: ' + error.message);
+    return false;
+  }
+
+  await recordAudit({
+    kind: 'delete',
+    table: 'teams',
+    rowId: teamId,
+    before: before,
+    summary: `Deleted team ${before.name}`
+  });
+
+  return true;
+}
+
+function teamName(teamId) {
+  const team = teams.find(t => String(t.id) === String(teamId));
+  return team ? team.name : '';
+}
+
+// Sets current_cp, place, place_shared and tie_break on each team.
+// The drivers' counting rule does not apply: every round counts. Points
+// deductions come off the team the driver was in at the penalty's round.
+function computeConstructorStandings(
+  teams,
+  drivers,
+  allResults,
+  settings = getConstructorSettings(),
+  teamHistory = teamChanges,
+  penaltyRecords = penalties
+) {
+  const driverById = {};
+  for (const d of drivers) {
+    driverById[d.id] = d;
+  }
+
+  let latestRound = 0;
+  const rowsByRaceAndTeam = {};
+
+  // Each result scores for the team the driver was in at that round
+  for (const r of allResults) {
+    const driver = driverById[r.driver_id];
+    const teamId = driver && teamForRound(driver, r.races?.round_number ?? 0, teamHistory);
+    if (!teamId) continue;
+
+    const key = `${r.race_id}_${teamId}`;
+    (rowsByRaceAndTeam[key] = rowsByRaceAndTeam[key] || { teamId, rows: [] }).rows.push(r);
+    latestRound = Math.max(latestRound, r.races?.round_number ?? 0);
+  }
+
+  const byId = {};
+  for (const team of teams) {
+    team.current_cp = 0;
+    team.points_deducted = 0;
+    team.tie_stats = { position_counts: {}, latest_position: null };
+    byId[team.id] = team;
+  }
+
+  for (const group of Object.values(rowsByRaceAndTeam)) {
+    let rows = group.rows
+      .sort((a, b) => (b.cp_after ?? 0) - (a.cp_after ?? 0));
+
+    if (settings.drivers_per_race > 0) {
+      rows = rows.slice(0, settings.drivers_per_race);
+    }
+
+    const team = byId[group.teamId];
+    if (!team) continue;
+
+    for (const r of rows) {
+      team.current_cp += r.cp_after ?? 0;
+
+      const classified = r.position && !r.dnf && !r.dsq && !r.dns;
+      if (!classified) continue;
+
+      const counts = team.tie_stats.position_counts;
+      counts[r.position] = (counts[r.position] || 0) + 1;
+
+      // Best finish of the team's scoring drivers in the latest race
+      const isLatest = (r.races?.round_number ?? 0) === latestRound;
+      if (isLatest && finishRank(r.position) < finishRank(team.tie_stats.latest_position)) {
+        team.tie_stats.latest_position = r.position;
+      }
+    }
+  }
+
+  // Same cut-off as applyPointsDeductions: issued up to the latest round
+  let lastRound = 0;
+  for (const r of allResults) {
+    lastRound = Math.max(lastRound, r.races?.round_number ?? 0);
+  }
+
+  for (const p of penaltyRecords) {
+    const driver = driverById[p.driver_id];
+    if (p.type !== 'points_deduction' || !driver || penaltyRound(p) > lastRound) continue;
+
+    const team = byId[teamForRound(driver, penaltyRound(p), teamHistory)];
+    if (!team) continue;
+
+    team.points_deducted += p.amount;
+    team.current_cp -= p.amount;
+  }
+
+  rankByCp(teams, settings.tie_breakers, CONSTRUCTOR_TIE_BREAK_RULES);
+}
+
+// Same as computeStandingsView's place changes, for teams
+function computeConstructorsView(results, lastRound) {
+  computeConstructorStandings(teams, drivers, results);
+
+  const previous = results.filter(r => (r.races?.round_number ?? 0) < lastRound);
+  const before = teams.map(t => ({ ...t }));
+  computeConstructorStandings(before, drivers, previous);
+
+  const previousPlace = {};
+  for (const t of before) {
+    previousPlace[t.id] = t.place;
+  }
+
+  for (const t of teams) {
+    t.place_change = lastRound > 1 ? previousPlace[t.id] - t.place : null;
+  }
+}
+
+function renderConstructorsTable(teams) {
+  const section = document.getElementById('constructors-standings');
+  const tbody = document.getElementById('constructors-body');
+  if (!section || !tbody) return;
+
+  section.style.display = teams.length > 0 ? '' : 'none';
+
+  const rows = [];
+
+  for (const t of teams) {
+    const teamDrivers = drivers
+      .filter(d => String(d.team_id) === String(t.id))
+      .map(d => formatDriverName(d))
+      .join(', ');
+    const tieBreak = t.tie_break && html` <small title="Tie-break">(${t.tie_break})</small>`;
+
+    rows.push(html`
+      <tr>
+        <td>${formatPlace(t)}</td>
+        <td>${formatPlaceChange(t.place_change)}</td>
+        <td>${t.name}${tieBreak}</td>
+        <td>${teamDrivers}</td>
+        <td>${t.current_cp ?? 0}</td>
+      </tr>
+    `);
+  }
+
+  tbody.innerHTML = html`${rows}`;
+}
+
+function renderTeamsAdmin(teams) {
+  const container = document.getElementById('teams-admin-list');
+  const settingsDiv = document.getElementById('constructors-settings-admin');
+  const tieBreakersDiv = document.getElementById('constructor-tie-breakers-admin');
+  if (!container) return;
+
+  if (!isAdmin) {
+    container.innerHTML = '<em>Login as admin to edit teams.</em>';
+    if (settingsDiv) settingsDiv.innerHTML = '';
+    if (tieBreakersDiv) tieBreakersDiv.innerHTML = '';
+    return;
+  }
+
+  if (!teams || teams.length === 0) {
+    container.innerHTML = '<em>No teams yet.</em>';
+  } else {
+    const items = [];
+
+    for (const t of teams) {
+      const count = drivers.filter(d => String(d.team_id) === String(t.id)).length;
+
+      items.push(html`
+        <li style="margin: 4px 0;">
+          ${t.name} (${count} driver${count === 1 ? '' : 's'})
+          <button class="team-rename-btn" data-team-id="${t.id}">Rename</button>
+          <button class="team-delete-btn" data-team-id="${t.id}">Delete</button>
+        </li>
+      `);
+    }
+
+    container.innerHTML = html`<ul style='list-style:none; padding-left:0;'>${items}</ul>`;
+  }
+
+  const settings = getConstructorSettings();
+
+  if (settingsDiv) {
+    settingsDiv.innerHTML = html`
+      <label>
+        Drivers scoring per race (0 = all):
+        <input id="constructors-drivers-per-race" type="number" min="0" value="${settings.drivers_per_race}" style="width:4em;">
+      </label>
+      <button id="save-constructors-settings-button">Save</button>
+    `;
+  }
+
+  if (tieBreakersDiv) {
+    tieBreakersDiv.innerHTML = renderRuleList(
+      CONSTRUCTOR_TIE_BREAK_RULES,
+      settings.tie_breakers,
+      'constructor-tie-breaker-btn'
+    );
+  }
+}
+
+async function updateStandings() {
+  // 1) fetch full grid data
+  const races = await fetchRaces();
+  const allResults = await fetchAllResults();
+  carChanges = await fetchDriverChanges('car');
+  teamChanges = await fetchDriverChanges('team_id');
+  teams = await fetchTeams();
+  penalties = await fetchPenalties();
+
+  gridRaces = races;
+  gridResults = allResults;
+
+  // 2) compute places and current CP/PI/penalty up to the selected round,
+  //    then render standings table and main championship grid
+  renderRoundSelect(races);
+  renderStandingsView();
+
+  // 3) render drivers admin panel
+  renderDriversAdmin(drivers);
+
+  renderRacesAdmin(races);
+
+  renderChampionshipsAdmin(championships);
+
+  renderScoringAdmin();
+
+  renderTieBreakersAdmin();
+
+  renderCountingRuleAdmin();
+
+  renderTeamsAdmin(teams);
+
+  championshipRoles = isOwner() ? await fetchChampionshipRoles() : [];
+  renderRolesAdmin(championshipRoles);
+  renderRoleStatus();
+
+  renderUnsavedStatus();
+
+  renderCurrentRoute();
+
+  await renderHistoryAdmin();
+}
+
+async function fetchRaces() {
+  const { data, error } = await repository.races.list(currentChampionshipId);
+
+  if (error) {
+    console.error('Error fetching races:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+async function deleteRace(raceId) {
+  const { error } = await repository.races.remove(raceId);
+
+  if (error) {
+    console.error('Error deleting race:', error.message);
+    alert('Delete failed: ' + error.message);
+    return false;
+  }
+
+  return true;
+}
+
+function renderRacePositionSelect(races) {
+  const select = document.getElementById('new-race-position');
+  if (!select) return;
+
+  const options = [html`<option value="">At the end</option>`];
+  for (const r of races) {
+    const label = r.name ? r.name : `Race ${r.round_number}`;
+    options.push(html`<option value="${r.round_number}">Before ${r.round_number}. ${label}</option>`);
+  }
+
+  select.innerHTML = html`${options}`;
+}
+
+function renderRacesAdmin(races) {
+  const container = document.getElementById('races-admin-list');
+  if (!container) return;
+
+  renderRacePositionSelect(races || []);
+
+  if (!isAdmin) {
+    container.innerHTML = '<em>Login as admin to edit races.</em>';
+    return;
+  }
+
+  if (!races || races.length === 0) {
+    container.innerHTML = '<em>No races yet.</em>';
+    return;
+  }
+
+  const items = [];
+
+  for (const r of races) {
+    const label = r.name ? r.name : `Race ${r.round_number}`;
+    const dateText = r.race_date ? ` (${r.race_date})` : '';
+
+    items.push(html`
+      <li class="race-admin-item" draggable="true" data-race-id="${r.id}" style="margin: 4px 0;">
+        <span class="drag-handle" title="Drag to reorder">☰</span>
+        ${r.round_number}. <a href="#/race/${r.id}">${label}</a>${dateText}
+        <button class="race-delete-btn" data-race-id="${r.id}">
+          Remove
+        </button>
+      </li>
+    `);
+  }
+
+  container.innerHTML = html`<ul style='list-style:none; padding-left:0;'>${items}</ul>`;
+}
+
+
+async function fetchAllResults() {
+  const { data, error } = await repository.results.list(currentChampionshipId);
+
+  if (error) {
+    console.error('Error fetching all results:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+function indexResultsByDriverAndRace(results) {
+  const map = {};
+  for (const r of results) {
+    const key = `${r.driver_id}_${r.race_id}`;
+    map[key] = r;
+  }
+  return map;
+}
+
+// --- Race order ---
+// Inserting, moving or deleting a race renumbers round_number 1..N and then
+// rebuilds every carried-over total in the new order. Each driver's
+// hand-entered starting totals stay with whichever race is now round 1.
+
+function captureStartingTotals(allResults) {
+  const totals = {};
+
+  for (const r of sortByRound(allResults)) {
+    if (totals[r.driver_id]) continue;
+
+    totals[r.driver_id] = {};
+    for (const f of CARRY_OVER_FIELDS) {
+      totals[r.driver_id][f.before] = r[f.before] ?? 0;
+    }
+  }
+
+  return totals;
+}
+
+async function rebuildChainFromStart(startingTotals) {
+  const allResults = await fetchAllResults();
+
+  // Penalties follow the rounds they were issued at
+  if (!(await applyPenaltyRecords(allResults))) return false;
+
+  const rowsByDriver = {};
+  for (const r of allResults) {
+    (rowsByDriver[r.driver_id] = rowsByDriver[r.driver_id] || []).push(r);
+  }
+
+  const changes = [];
+
+  for (const driverId of Object.keys(rowsByDriver)) {
+    const rows = sortByRound(rowsByDriver[driverId]);
+    const start = startingTotals[driverId];
+
+    if (start) {
+      const first = rows[0];
+      const changed = CARRY_OVER_FIELDS.filter(f => (first[f.before] ?? 0) !== start[f.before]);
+
+      if (changed.length > 0) {
+        changes.push({ row: first, values: { ...start }, changed });
+        rows[0] = { ...first, ...start };
+      }
+    }
+
+    changes.push(...planCarryOver(rows, penalties));
+  }
+
+  return applyCarryOverChanges(changes);
+}
+
+// assignments: [{ id, round_number }]
+async function renumberRaces(assignments) {
+  const current = await fetchRaces();
+  const roundById = {};
+  for (const r of current) {
+    roundById[r.id] = r.round_number;
+  }
+
+  const changes = assignments.filter(a => roundById[a.id] !== a.round_number);
+
+  // Park changed races on negative numbers first so a unique
+  // (championship_id, round_number) index never sees a duplicate
+  for (const pass of [-1, 1]) {
+    for (const a of changes) {
+      const { error } = await repository.races.update(a.id, { round_number: pass * a.round_number });
+
+      if (error) {
+        console.error('Error renumbering races:', error.message);
+        alert('Could not renumber races: ' + error.message);
+        return false;
+      }
+    }
+  }
+
+  const roundMoves = {};
+  for (const a of changes) {
+    roundMoves[roundById[a.id]] = a.round_number;
+  }
+
+  return await renumberDriverChanges('car', roundMoves) &&
+    renumberDriverChanges('team_id', roundMoves);
+}
+
+// Car and team changes are stored by round: one starting at a race follows
+// that race to its new round. Round 1 (the original value) and rounds
+// without a race stay.
+async function renumberDriverChanges(field, roundMoves) {
+  const table = repository[DRIVER_CHANGE_TABLES[field]];
+  const { data, error } = await table.list(currentChampionshipId);
+
+  if (error) {
+    console.error('Error reading driver changes:', error.message);
+    alert('Could not renumber car and team changes: ' + error.message);
+    return false;
+  }
+
+  const byDriver = {};
+  for (const c of data || []) {
+    (byDriver[c.driver_id] = byDriver[c.driver_id] || []).push(c);
+  }
+
+  for (const driverId of Object.keys(byDriver)) {
+    const rows = {};
+    let moved = false;
+
+    for (const c of byDriver[driverId]) {
+      const target = c.from_round > 1 && roundMoves[c.from_round] !== undefined;
+      const round = target ? roundMoves[c.from_round] : c.from_round;
+      moved = moved || round !== c.from_round;
+
+      // A change that moved onto a round wins over one left behind there
+      if (!rows[round] || target) {
+        rows[round] = { driver_id: c.driver_id, [field]: c[field], from_round: round };
+      }
+    }
+
+    if (!moved) continue;
+
+    // Replaced as a whole: moving rows one by one could clash on (driver, round)
+    let { error: writeError } = await table.removeWhere({ driver_id: driverId });
+    if (!writeError) {
+      ({ error: writeError } = await table.save(Object.values(rows)));
+    }
+
+    if (writeError) {
+      console.error('Error renumbering driver changes:', writeError.message);
+      alert('Could not renumber car and team changes: ' + writeError.message);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+async function reorderRaces(orderedRaceIds) {
+  const previousOrder = (await fetchRaces()).map(r => r.id);
+
+  if (await applyRaceOrder(orderedRaceIds)) {
+    await recordAudit({
+      kind: 'reorder',
+      table: 'races',
+      before: { order: previousOrder },
+      after: { order: orderedRaceIds },
+      summary: 'Reordered races'
+    });
+  }
+}
+
+async function applyRaceOrder(orderedRaceIds) {
+  const totals = captureStartingTotals(await fetchAllResults());
+
+  const ok = await renumberRaces(
+    orderedRaceIds.map((id, i) => ({ id, round_number: i + 1 }))
+  );
+
+  return ok && rebuildChainFromStart(totals);
+}
+
+// The race's results and penalties are kept in the audit log so undo can restore them
+async function removeRace(raceId) {
+  const snapshot = await snapshotRace(raceId);
+  if (!snapshot) return;
+
+  if (await deleteRaceAndCloseGap(raceId)) {
+    const label = snapshot.race.name ? snapshot.race.name : `Race ${snapshot.race.round_number}`;
+    await recordAudit({
+      kind: 'delete',
+      table: 'races',
+      rowId: raceId,
+      raceId: raceId,
+      before: snapshot,
+      summary: `Deleted race ${snapshot.race.round_number}. ${label} with ${snapshot.results.length} result(s)`
+    });
+  }
+}
+
+async function deleteRaceAndCloseGap(raceId) {
+  const totals = captureStartingTotals(await fetchAllResults());
+
+  if (!(await deleteRace(raceId))) return false;
+
+  // Close the gap the deleted round left behind
+  const remaining = await fetchRaces();
+  const ok = await renumberRaces(
+    remaining.map((r, i) => ({ id: r.id, round_number: i + 1 }))
+  );
+
+  return ok && rebuildChainFromStart(totals);
+}
+
+// position: round number to insert at (later rounds move back one), or null to append
+async function createRace(name, dateString, position = null) {
+  const { data: existing, error: fetchError } = await repository.races.list(currentChampionshipId);
+
+  if (fetchError) {
+    console.error('Error reading races:', fetchError.message);
+    alert('Could not load races: ' + fetchError.message);
+    return;
+  }
+
+  const maxRound = existing && existing.length > 0 ? existing[existing.length - 1].round_number : 0;
+  const inserting = position !== null && position >= 1 && position <= maxRound;
+  const nextRound = inserting ? position : (maxRound || 0) + 1;
+
+  let startingTotals = null;
+
+  if (inserting) {
+    startingTotals = captureStartingTotals(await fetchAllResults());
+
+    // Make room: every round from the insert position onwards moves back one
+    const races = await fetchRaces();
+    const ok = await renumberRaces(races.map(r => ({
+      id: r.id,
+      round_number: r.round_number >= position ? r.round_number + 1 : r.round_number
+    })));
+
+    if (!ok) return;
+  }
+
+  const displayName = name?.trim() || `Race ${nextRound}`;
+  const raceDate = dateString?.trim() || null;
+
+  const { data: newRace, error: insertError } = await repository.races.create({
+    round_number: nextRound,
+    name: displayName,
+    race_date: raceDate,
+    championship_id: currentChampionshipId
+  });
+
+  if (insertError) {
+    console.error('Error creating race:', insertError.message);
+    alert('Could not create race: ' + insertError.message);
+    return;
+  }
+
+  await createDefaultResultsForRace(repository, currentChampionshipId, newRace.id, nextRound, penalties);
+
+  await recordAudit({
+    kind: 'insert',
+    table: 'races',
+    rowId: newRace.id,
+    raceId: newRace.id,
+    after: newRace,
+    summary: `Added race ${nextRound}. ${displayName}`
+  });
+
+  if (inserting) {
+    await rebuildChainFromStart(startingTotals);
+  } else {
+    // Penalties still active carry into the new round
+    await applyPenaltyRecords(await fetchAllResults());
+  }
+
+  return newRace;
+}
+
+
+function renderGrid(drivers, races, resultMap) {
+  const headerRow = document.getElementById('grid-header-row');
+  const tbody = document.getElementById('grid-body');
+
+  headerRow.innerHTML = '';
+  tbody.innerHTML = '';
+
+  // Header: first column is the driver info
+  const firstTh = document.createElement('th');
+  firstTh.textContent = 'Driver / Race';
+  headerRow.appendChild(firstTh);
+
+  // One header per race
+  for (const race of races) {
+    const th = document.createElement('th');
+    const raceLabel = race.name ? race.name : `Race ${race.round_number}`;
+
+    th.innerHTML = html`
+      <div><a href="#/race/${race.id}">${raceLabel}</a></div>
+      <div style="font-size:0.85em; opacity:0.7;">${isAdmin ? 'Pos' : 'CP'} | PI | Pen</div>
+    `;
+    headerRow.appendChild(th);
+  }
+
+  // One row per driver
+  for (const driver of drivers) {
+    const tr = document.createElement('tr');
+    tr.dataset.driverId = driver.id;
+
+    const leftTd = document.createElement('td');
+    renderDriverCell(leftTd, driver);
+    tr.appendChild(leftTd);
+
+    // Each race cell
+    for (const race of races) {
+      const td = document.createElement('td');
+      td.dataset.raceId = race.id;
+      renderResultCell(td, driver, race, resultMap[`${driver.id}_${race.id}`]);
+      tr.appendChild(td);
+    }
+
+    tbody.appendChild(tr);
+  }
+}
+
+function renderDriverCell(td, driver) {
+  const placeText = driver.place ? `${driver.place_shared ? '=' : ''}${driver.place}. ` : '';
+  const changeText = driver.place_change
+    ? html` <span style="font-size:0.8em; opacity:0.8;">${formatPlaceChange(driver.place_change)}</span>`
+    : '';
+  const effectivePi = driver.effective_pi ?? driver.current_pi ?? 0;
+  const tieBreakText = driver.tie_break &&
+    html`<div style="font-size:0.75em; opacity:0.7;">Tie decided by: ${driver.tie_break}</div>`;
+
+  td.innerHTML = html`
+    <div>${placeText}<a href="#/driver/${driver.id}">${formatDriverName(driver)}</a>${changeText}</div>
+    <div style="font-size:0.85em; opacity:0.8;">${driver.car}${driver.active === false && html` <em>(${driver.status || 'withdrawn'})</em>`}</div>
+    <div style="font-size:0.8em; opacity:0.8; margin-top:2px;">
+      CP: ${driver.current_cp ?? 0} | PI: ${effectivePi}
+    </div>
+    ${tieBreakText}
+  `;
+}
+
+// Race row and carried-over row of one grid cell (also used by exports).
+// The after values are this race's own CP, PI and penalty, not running totals.
+function computeCellValues(r) {
+  return {
+    cpBefore: r.cp_before ?? 0,
+    piBefore: r.pi_before ?? 0,
+    penBefore: r.penalty_before ?? 0,
+    cpAfter: r.cp_after ?? 0,
+    piAfter: r.pi_after ?? 0,
+    penNext: r.penalty_for_next ?? 0
+  };
+}
+
+function renderResultCell(td, driver, race, r) {
+  td.classList.remove('dropped-round', 'remote-changed', 'dirty');
+  td.title = '';
+  delete td.dataset.resultId;
+  delete td.dataset.version;
+
+  if (!r) {
+    td.innerHTML = '<div style="opacity:0.4;">-</div>';
+    return;
+  }
+
+  const { cpBefore, piBefore, penBefore, cpAfter, piAfter, penNext } = computeCellValues(r);
+
+  // Only worth a line when the driver has used more than one car
+  const carText = carChanges[driver.id] &&
+    html`<div style="font-size:0.75em; opacity:0.7;">${carForRound(driver, race.round_number)}</div>`;
+
+  if (!isAdmin) {
+    // read-only view
+    td.innerHTML = html`
+      ${carText}
+      <div style="font-size:0.8em; opacity:0.8;">${formatFinish(r)}</div>
+      <div>${cpAfter} | ${piAfter} | ${penNext}</div>
+      <div style="font-size:0.85em; opacity:0.8;">
+        ${cpBefore} | ${piBefore} | ${penBefore}
+      </div>
+    `;
+  } else {
+    td.dataset.resultId = r.id;
+    td.dataset.version = r.version ?? 1;
+
+    // editable mini-grid: CP is derived from the finishing position
+    const flags = [
+      { id: 'fl',   field: 'fastest_lap', label: 'FL' },
+      { id: 'pole', field: 'pole',        label: 'Pole' },
+      { id: 'dnf',  field: 'dnf',         label: 'DNF' },
+      { id: 'dsq',  field: 'dsq',         label: 'DSQ' }
+    ];
+    const flagsHtml = flags.map(f => html`
+      <label style="white-space:nowrap;">
+        <input type="checkbox" id="${f.id}_${r.id}"${r[f.field] ? ' checked' : ''} />${f.label}
+      </label>
+    `);
+
+    td.innerHTML = html`
+      ${carText}
+      <div style="display:grid; grid-template-columns:repeat(3,1fr); gap:2px; margin-bottom:2px;">
+        <input type="number" min="1" id="pos_${r.id}" value="${r.position ?? ''}" placeholder="Pos" title="Finishing position" style="width:100%; box-sizing:border-box;" />
+        <input type="number" id="pi_after_${r.id}" value="${piAfter}"  style="width:100%; box-sizing:border-box;" />
+        <input type="number" id="pen_next_${r.id}" value="${penNext}" readonly title="From penalty records (race page)" style="width:100%; box-sizing:border-box;" />
+      </div>
+      <div style="display:flex; flex-wrap:wrap; gap:4px; font-size:0.75em; margin-bottom:2px;">
+        ${flagsHtml}
+        <span style="opacity:0.8;">CP: ${r.cp_after ?? 0}</span>
+      </div>
+      <div style="display:grid; grid-template-columns:repeat(3,1fr); gap:2px; font-size:0.85em;">
+        <input type="number" id="cp_before_${r.id}" value="${cpBefore}" style="width:100%; box-sizing:border-box;" />
+        <input type="number" id="pi_before_${r.id}" value="${piBefore}" style="width:100%; box-sizing:border-box;" />
+        <input type="number" id="pen_before_${r.id}" value="${penBefore}" style="width:100%; box-sizing:border-box;" />
+      </div>
+    `;
+  }
+
+  if (driver.dropped_race_ids?.includes(race.id)) {
+    td.classList.add('dropped-round');
+    td.title = 'Dropped round (not counted)';
+  }
+}
+
+// --- Points system ---
+// Stored per championship in championships.scoring (jsonb):
+// { points: [25, 18, ...], fastest_lap: 1, pole: 0 }
+// points[0] is for P1, points[1] for P2, and so on. SCORING_PRESETS and
+// computeCpForResult are in standings.js.
+
+const DEFAULT_SCORING_PRESET = 'f1';
+
+function getCurrentChampionship() {
+  return championships.find(c => c.id === currentChampionshipId) || null;
+}
+
+function getScoringSystem() {
+  const championship = getCurrentChampionship();
+  const scoring = championship?.scoring;
+
+  if (!scoring || !Array.isArray(scoring.points)) {
+    return SCORING_PRESETS[DEFAULT_SCORING_PRESET];
+  }
+
+  return scoring;
+}
+
+function formatFinish(result) {
+  if (result.dns) return 'DNS';
+  if (result.dsq) return 'DSQ';
+  if (result.dnf) return 'DNF';
+  if (!result.position) return '';
+
+  let text = `P${result.position}`;
+  if (result.pole) text += ' · Pole';
+  if (result.fastest_lap) text += ' · FL';
+  return text;
+}
+
+function parsePointsList(text) {
+  return (text || '')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(v => parseInt(v, 10));
+}
+
+async function saveScoringSystem(scoring) {
+  const { error } = await repository.championships.update(currentChampionshipId, { scoring: scoring });
+
+  if (error) {
+    console.error('Error saving points system:', error.message);
+    alert('Could not save points system: ' + error.message);
+    return false;
+  }
+
+  const championship = getCurrentChampionship();
+  await recordAudit({
+    kind: 'update',
+    table: 'championships',
+    rowId: currentChampionshipId,
+    before: { scoring: championship?.scoring ?? null },
+    after: { scoring: scoring },
+    summary: 'Changed the points system'
+  });
+
+  if (championship) {
+    championship.scoring = scoring;
+  }
+
+  return true;
+}
+
+// Re-derives cp_after for every classified result with the current points
+// system, then rebuilds the carried-over totals.
+async function rescoreSeason() {
+  const scoring = getScoringSystem();
+  const { results: allResults } = await snapshotTables(['results']);
+
+  // Both steps are planned before anything is written; the caller has
+  // already asked, so the carry-over follows without a second prompt
+  const rescored = allResults.map(r => {
+    if (!hasFinish(r)) return r;
+
+    const cp = computeCpForResult(r, scoring);
+    return cp === (r.cp_after ?? 0) ? r : { ...r, cp_after: cp };
+  });
+  const carryOver = planSeasonCarryOver(rescored, penalties);
+
+  for (const r of rescored) {
+    if (allResults.includes(r)) continue;
+
+    const { error } = await repository.results.update(r.id, { cp_after: r.cp_after });
+
+    if (error) {
+      console.error('Error re-scoring result:', error.message);
+      alert('Re-scoring failed: ' + error.message);
+      return;
+    }
+  }
+
+  await applyCarryOverChanges(carryOver);
+
+  const { before, after } = diffSnapshots({ results: allResults }, await snapshotTables(['results']));
+  await recordAudit({
+    kind: 'update',
+    table: 'results',
+    before: before,
+    after: after,
+    summary: 'Re-scored the season with the current points system',
+    undoable: false
+  });
+
+  await updateStandings();
+}
+
+function renderScoringAdmin() {
+  const container = document.getElementById('scoring-admin');
+  if (!container) return;
+
+  if (!isAdmin) {
+    container.innerHTML = '<em>Login as admin to edit the points system.</em>';
+    return;
+  }
+
+  const scoring = getScoringSystem();
+
+  const presetOptions = [html`<option value="">Load preset...</option>`];
+  for (const key of Object.keys(SCORING_PRESETS)) {
+    presetOptions.push(html`<option value="${key}">${SCORING_PRESETS[key].label}</option>`);
+  }
+
+  container.innerHTML = html`
+    <select id="scoring-preset">${presetOptions}</select>
+    <div style="margin-top:4px;">
+      <label>Points by position (P1, P2, ...):
+        <input id="scoring-points" style="width:60%;" value="${scoring.points.join(', ')}">
+      </label>
+    </div>
+    <div style="margin-top:4px;">
+      <label>Fastest lap bonus: <input id="scoring-fastest-lap" type="number" value="${scoring.fastest_lap ?? 0}" style="width:4em;"></label>
+      <label>Pole bonus: <input id="scoring-pole" type="number" value="${scoring.pole ?? 0}" style="width:4em;"></label>
+    </div>
+    <button id="save-scoring-button" style="margin-top:4px;">Save points system</button>
+  `;
+}
+
+// --- Carry-over chain ---
+// The chain itself is planned in standings.js (planCarryOver); here the
+// changes are described for confirmation and written.
+
+function describeCarryOverChanges(changes) {
+  const maxLines = 25;
+  const lines = [];
+
+  for (const c of changes.slice(0, maxLines)) {
+    const driver = drivers.find(d => d.id === c.row.driver_id);
+    const driverName = driver ? driver.name : c.row.driver_id;
+    const round = c.row.races?.round_number ?? '?';
+    const raceLabel = c.row.races?.name || `Race ${round}`;
+
+    const fields = c.changed
+      .map(f => `${f.label} ${c.row[f.before] ?? 0} → ${c.values[f.before]}`)
+      .join(', ');
+
+    lines.push(`${driverName}, ${raceLabel}: ${fields}`);
+  }
+
+  if (changes.length > maxLines) {
+    lines.push(`...and ${changes.length - maxLines} more`);
+  }
+
+  return lines.join('\n');
+}
+
+async function applyCarryOverChanges(changes) {
+  for (const c of changes) {
+    const { error } = await repository.results.update(c.row.id, c.values);
+
+    if (error) {
+      console.error('Error updating carried-over totals:', error.message);
+      alert('Could not update later rounds: ' + error.message);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+async function recalculateSeason() {
+  const { results: allResults } = await snapshotTables(['results']);
+  const changes = planSeasonCarryOver(allResults, penalties);
+
+  if (changes.length === 0) {
+    alert('All carried-over totals are already up to date.');
+    return false;
+  }
+
+  const preview = describeCarryOverChanges(changes);
+  if (!confirm(`Recalculating the season will change ${changes.length} result(s):\n\n${preview}`)) {
+    return false;
+  }
+
+  await applyCarryOverChanges(changes);
+
+  const { before, after } = diffSnapshots({ results: allResults }, await snapshotTables(['results']));
+  await recordAudit({
+    kind: 'update',
+    table: 'results',
+    before: before,
+    after: after,
+    summary: `Recalculated the season (${changes.length} result(s) changed)`,
+    undoable: false
+  });
+
+  await updateStandings();
+  return true;
+}
+
+// --- Penalties ---
+// Each penalty is a row in the penalties table, issued at a race and active
+// from the next race on, for expires_after_rounds rounds (null: until the end
+// of the season). penalty_for_next in results is derived from these records:
+// the PI deductions a driver has active going into the next race.
+// Points deductions come straight off the CP total; grid drops are
+// informational (amount = places).
+
+const PENALTY_TYPES = {
+  grid_drop: 'Grid drop',
+  pi_deduction: 'PI deduction',
+  points_deduction: 'Points deduction'
+};
+
+let penalties = []; // will be filled from DB
+
+// Imported penalty values (and the migrated penalty_for_next numbers) carry this reason
+const IMPORTED_PENALTY_REASON = 'Imported';
+
+async function fetchPenalties() {
+  const { data, error } = await repository.penalties.list(currentChampionshipId);
+
+  if (error) {
+    console.error('Error fetching penalties:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+function formatPenaltyExpiry(p) {
+  if (p.expires_after_rounds === null || p.expires_after_rounds === undefined) {
+    return 'Season';
+  }
+  return `${p.expires_after_rounds} round${p.expires_after_rounds === 1 ? '' : 's'}`;
+}
+
+// Writes the derived penalty_for_next into every row that differs. Rows are
+// updated in place so a following carry-over plan sees the new values.
+async function applyPenaltyRecords(allResults) {
+  penalties = await fetchPenalties();
+
+  for (const r of allResults) {
+    const value = derivePenaltyForNext(r.driver_id, r.races?.round_number ?? 0, penalties);
+    if ((r.penalty_for_next ?? 0) === value) continue;
+
+    const { error } = await repository.results.update(r.id, { penalty_for_next: value });
+
+    if (error) {
+      console.error('Error updating penalties:', error.message);
+      alert('Could not update penalties: ' + error.message);
+      return false;
+    }
+
+    r.penalty_for_next = value;
+  }
+
+  return true;
+}
+
+// After a penalty is added or removed: derived values, then the carried totals
+async function syncPenaltyResults() {
+  const allResults = await fetchAllResults();
+
+  if (await applyPenaltyRecords(allResults)) {
+    await applyCarryOverChanges(planSeasonCarryOver(allResults, penalties));
+  }
+}
+
+async function createPenalty(penalty) {
+  const { data, error } = await repository.penalties.create(penalty);
+
+  if (error) {
+    console.error('Error creating penalty:', error.message);
+    alert('Could not add penalty: ' + error.message);
+    return false;
+  }
+
+  await recordAudit({
+    kind: 'insert',
+    table: 'penalties',
+    rowId: data.id,
+    raceId: data.race_id,
+    driverId: data.driver_id,
+    after: data,
+    summary: `Penalty for ${driverLabel(data.driver_id)}: ${PENALTY_TYPES[data.type]} ${data.amount} (${data.reason})`
+  });
+
+  await syncPenaltyResults();
+  return true;
+}
+
+async function deletePenalty(penaltyId) {
+  const before = await fetchRow('penalties', penaltyId);
+  if (!before) return false;
+
+  const { error } = await repository.penalties.remove(penaltyId);
+
+  if (error) {
+    console.error('Error deleting penalty:', error.message);
+    alert('Delete failed: ' + error.message);
+    return false;
+  }
+
+  await recordAudit({
+    kind: 'delete',
+    table: 'penalties',
+    rowId: penaltyId,
+    raceId: before.race_id,
+    driverId: before.driver_id,
+    before: before,
+    summary: `Removed penalty for ${driverLabel(before.driver_id)}: ${PENALTY_TYPES[before.type]} ${before.amount} (${before.reason})`
+  });
+
+  await syncPenaltyResults();
+  return true;
+}
+
+// showDriver / showRace pick the columns for the driver and race views
+function renderPenaltyList(list, { showDriver, showRace }) {
+  if (list.length === 0) {
+    return html`<p><em>No penalties.</em></p>`;
+  }
+
+  const rows = list.map(p => {
+    const driver = drivers.find(d => d.id === p.driver_id);
+    const round = penaltyRound(p);
+    const raceLabel = p.races?.name || `Race ${round}`;
+
+    return html`
+      <tr>
+        ${showRace && html`<td><a href="#/race/${p.race_id}">${round}. ${raceLabel}</a></td>`}
+        ${showDriver && html`<td>${driver && html`<a href="#/driver/${driver.id}">${driver.name}</a>`}</td>`}
+        <td>${PENALTY_TYPES[p.type] || p.type}</td>
+        <td>${p.amount}</td>
+        <td>${formatPenaltyExpiry(p)}</td>
+        <td>${p.reason || ''}</td>
+        <td style="white-space:pre-wrap;">${p.steward_notes || ''}</td>
+        ${canEditPenalties() && html`<td><button class="penalty-delete-btn" data-penalty-id="${p.id}">Delete</button></td>`}
+      </tr>
+    `;
+  });
+
+  return html`
+    <table>
+      <thead>
+        <tr>
+          ${showRace && html`<th>Race</th>`}
+          ${showDriver && html`<th>Driver</th>`}
+          <th>Type</th>
+          <th>Amount</th>
+          <th>Active for</th>
+          <th>Reason</th>
+          <th>Steward notes</th>
+          ${canEditPenalties() && html`<th></th>`}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderPenaltyForm(race) {
+  const driverOptions = drivers.map(d => html`<option value="${d.id}">${formatDriverName(d)}</option>`);
+  const typeOptions = Object.keys(PENALTY_TYPES).map(key => html`<option value="${key}">${PENALTY_TYPES[key]}</option>`);
+
+  return html`
+    <div id="penalty-form" style="margin-top: 10px;">
+      <select id="penalty-driver">${driverOptions}</select>
+      <select id="penalty-type">${typeOptions}</select>
+      <input id="penalty-amount" type="number" min="1" placeholder="Amount" style="width:5em;">
+      <input id="penalty-expiry" type="number" min="1" placeholder="Rounds (empty: season)" title="Rounds the penalty stays active" style="width:12em;">
+      <input id="penalty-reason" placeholder="Reason">
+      <div>
+        <textarea id="penalty-notes" rows="2" placeholder="Steward notes" style="width:100%; max-width:600px;"></textarea>
+      </div>
+      <button id="add-penalty-button" data-race-id="${race.id}">Add penalty</button>
+    </div>
+  `;
+}
+
+// --- Edit conflicts ---
+// Every results row has a version that a database trigger bumps on each
+// update. A save only succeeds if the row still has the version the cell
+// was rendered with; otherwise the admin resolves the conflict first.
+// Writes that send a stale version are rejected by the trigger (40001).
+
+const RESULT_EDIT_FIELDS = [
+  { key: 'position',         label: 'Position' },
+  { key: 'fastest_lap',      label: 'Fastest lap' },
+  { key: 'pole',             label: 'Pole' },
+  { key: 'dnf',              label: 'DNF' },
+  { key: 'dsq',              label: 'DSQ' },
+  { key: 'pi_after',         label: 'PI (race)' },
+  { key: 'penalty_for_next', label: 'Penalty (next)' },
+  { key: 'cp_before',        label: 'CP carried' },
+  { key: 'pi_before',        label: 'PI carried' },
+  { key: 'penalty_before',   label: 'Penalty carried' }
+];
+
+function formatFieldValue(value) {
+  if (value === true) return 'yes';
+  if (value === false) return 'no';
+  return value ?? '';
+}
+
+// Resolves to the values to save, null to take the server values, or
+// 'cancel' when the dialog is dismissed (Escape) to stop the whole save
+function resolveResultConflict(mine, server) {
+  const dialog = document.getElementById('conflict-dialog');
+  const differing = RESULT_EDIT_FIELDS.filter(
+    f => formatFieldValue(mine[f.key]) !== formatFieldValue(server[f.key])
+  );
+
+  const rows = differing.map(f => html`
+      <tr>
+        <td>${f.label}</td>
+        <td><label><input type="radio" name="merge_${f.key}" value="mine" checked> ${formatFieldValue(mine[f.key])}</label></td>
+        <td><label><input type="radio" name="merge_${f.key}" value="server"> ${formatFieldValue(server[f.key])}</label></td>
+      </tr>
+    `);
+
+  dialog.innerHTML = html`
+    <h3>Someone else saved this result</h3>
+    <p>Pick which values to keep.</p>
+    <table>
+      <thead><tr><th>Field</th><th>Yours</th><th>Server</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div style="margin-top:10px;">
+      <button data-choice="mine">Keep mine</button>
+      <button data-choice="server">Use server values</button>
+      <button data-choice="merge">Merge selected</button>
+    </div>
+  `;
+
+  return new Promise(resolve => {
+    dialog.onclose = () => {
+      dialog.onclick = null;
+      dialog.onclose = null;
+      resolve('cancel');
+    };
+
+    dialog.onclick = (e) => {
+      const choice = e.target.closest('button')?.dataset.choice;
+      if (!choice) return;
+
+      dialog.onclick = null;
+      dialog.onclose = null;
+      dialog.close();
+
+      if (choice === 'server') {
+        resolve(null);
+        return;
+      }
+
+      const values = { ...mine };
+      if (choice === 'merge') {
+        for (const f of differing) {
+          const picked = dialog.querySelector(`input[name="merge_${f.key}"]:checked`);
+          if (picked && picked.value === 'server') {
+            values[f.key] = server[f.key];
+          }
+        }
+      }
+
+      values.cp_after = cpForEditedResult(values, server);
+      resolve(values);
+    };
+
+    dialog.showModal();
+  });
+}
+
+// CP is scored from the finish. Only a row that never had a finish (CP
+// entered by hand) keeps its stored CP; clearing a finish scores 0.
+function cpForEditedResult(finish, stored) {
+  if (stored && !hasFinish(finish) && !hasFinish(stored)) {
+    return stored.cp_after ?? 0;
+  }
+
+  return computeCpForResult(finish, getScoringSystem());
+}
+
+function readResultCell(resultId) {
+  const cpBefore  = parseInt(document.getElementById(`cp_before_${resultId}`).value || '0', 10);
+  const piBefore  = parseInt(document.getElementById(`pi_before_${resultId}`).value || '0', 10);
+  const penBefore = parseInt(document.getElementById(`pen_before_${resultId}`).value || '0', 10);
+
+  const positionText = document.getElementById(`pos_${resultId}`).value;
+  const piAfter   = parseInt(document.getElementById(`pi_after_${resultId}`).value || '0', 10);
+  const penNext   = parseInt(document.getElementById(`pen_next_${resultId}`).value || '0', 10);
+
+  const finish = {
+    position: positionText ? parseInt(positionText, 10) : null,
+    fastest_lap: document.getElementById(`fl_${resultId}`).checked,
+    pole: document.getElementById(`pole_${resultId}`).checked,
+    dnf: document.getElementById(`dnf_${resultId}`).checked,
+    dsq: document.getElementById(`dsq_${resultId}`).checked,
+  };
+
+  const stored = gridResults.find(r => String(r.id) === String(resultId));
+
+  return {
+    ...finish,
+    cp_before: cpBefore,
+    pi_before: piBefore,
+    penalty_before: penBefore,
+    cp_after: cpForEditedResult(finish, stored),
+    pi_after: piAfter,
+    penalty_for_next: penNext,
+  };
+}
+
+// --- Batch editing ---
+// Edited inputs are compared with the values they were rendered with
+// (defaultValue / defaultChecked); cells with changes are "dirty" until
+// they are saved together or discarded.
+
+function isInputDirty(input) {
+  return input.type === 'checkbox'
+    ? input.checked !== input.defaultChecked
+    : input.value !== input.defaultValue;
+}
+
+function updateDirtyState(td) {
+  let dirty = false;
+
+  for (const input of td.querySelectorAll('input')) {
+    const changed = isInputDirty(input);
+    input.classList.toggle('dirty-input', changed);
+    dirty = dirty || changed;
+  }
+
+  td.classList.toggle('dirty', dirty);
+  renderUnsavedStatus();
+}
+
+function getDirtyCells() {
+  return [...document.querySelectorAll('#grid-body td.dirty')];
+}
+
+function hasUnsavedChanges() {
+  return getDirtyCells().length > 0;
+}
+
+function renderUnsavedStatus() {
+  const bar = document.getElementById('batch-edit-bar');
+  if (!bar) return;
+
+  bar.style.display = isAdmin ? 'block' : 'none';
+
+  const count = getDirtyCells().length;
+  document.getElementById('unsaved-status').textContent =
+    count === 0 ? 'No unsaved changes.' : `${count} unsaved cell(s).`;
+  document.getElementById('save-all-button').disabled = count === 0;
+  document.getElementById('discard-changes-button').disabled = count === 0;
+}
+
+// Only the columns an admin edits, plus what an upsert needs to find the row
+function buildResultWrite(original, values) {
+  const row = {
+    id: original.id,
+    driver_id: original.driver_id,
+    race_id: original.race_id,
+    version: original.version ?? 1,
+    cp_after: 'cp_after' in values ? values.cp_after : original.cp_after
+  };
+
+  // A key set to null (e.g. a cleared position) is written as null
+  for (const f of RESULT_EDIT_FIELDS) {
+    row[f.key] = f.key in values ? values[f.key] : original[f.key];
+  }
+
+  return row;
+}
+
+async function saveAllChanges() {
+  const cells = getDirtyCells();
+  if (cells.length === 0) return;
+
+  const edits = cells.map(td => ({
+    id: td.dataset.resultId,
+    version: parseInt(td.dataset.version, 10),
+    values: readResultCell(td.dataset.resultId)
+  }));
+
+  // Reported once per save, not again on every retry
+  let missingReported = false;
+
+  // Loops only when another save lands between our check and our write
+  for (;;) {
+    const allResults = await fetchAllResults();
+    const byId = {};
+    for (const r of allResults) {
+      byId[r.id] = r;
+    }
+
+    const editedById = {};
+    const editedIds = [];
+
+    for (const edit of edits) {
+      const original = byId[edit.id];
+
+      if (!original) {
+        if (!missingReported) {
+          alert('A result you edited was removed by someone else; that cell is skipped.');
+          missingReported = true;
+        }
+        continue;
+      }
+
+      let values = edit.values;
+
+      if ((original.version ?? 1) !== edit.version) {
+        values = await resolveResultConflict(values, original);
+        if (values === 'cancel') return; // nothing written yet, the edits stay
+        if (!values) continue; // take the server values
+
+        edit.values = values;
+        edit.version = original.version ?? 1;
+      }
+
+      editedById[original.id] = values;
+      editedIds.push(original.id);
+    }
+
+    // Rebuild carried-over totals after the earliest edited round of each driver
+    const merged = allResults.map(r => (editedById[r.id] ? { ...r, ...editedById[r.id] } : r));
+    const rowsByDriver = {};
+    const firstEditedRound = {};
+
+    for (const r of merged) {
+      (rowsByDriver[r.driver_id] = rowsByDriver[r.driver_id] || []).push(r);
+
+      if (editedById[r.id]) {
+        const round = r.races?.round_number ?? 0;
+        firstEditedRound[r.driver_id] = Math.min(firstEditedRound[r.driver_id] ?? Infinity, round);
+      }
+    }
+
+    const laterChanges = [];
+    for (const driverId of Object.keys(firstEditedRound)) {
+      laterChanges.push(
+        ...planCarryOver(sortByRound(rowsByDriver[driverId]), penalties)
+          .filter(c => (c.row.races?.round_number ?? 0) > firstEditedRound[driverId])
+      );
+    }
+
+    if (laterChanges.length > 0) {
+      const preview = describeCarryOverChanges(laterChanges);
+      if (!confirm(`These edits also change the carried-over totals of later rounds:\n\n${preview}\n\nSave and update them?`)) {
+        return;
+      }
+    }
+
+    for (const c of laterChanges) {
+      editedById[c.row.id] = { ...(editedById[c.row.id] || {}), ...c.values };
+    }
+
+    const rows = Object.keys(editedById).map(id => buildResultWrite(byId[id], editedById[id]));
+
+    if (rows.length === 0) {
+      await updateStandings();
+      return;
+    }
+
+    // The version trigger rejects the whole batch if any row changed meanwhile
+    const { error } = await repository.results.save(rows);
+
+    if (error && error.code === '40001') {
+      continue;
+    }
+
+    if (error) {
+      console.error('Error saving results:', error.message);
+      alert('Save failed: ' + error.message);
+      return;
+    }
+
+    // One entry per edited cell; the carried-over totals are rebuilt on undo
+    for (const id of editedIds) {
+      const original = byId[id];
+      const round = original.races?.round_number ?? '?';
+
+      await recordAudit({
+        kind: 'update',
+        table: 'results',
+        rowId: id,
+        raceId: original.race_id,
+        driverId: original.driver_id,
+        before: pickResultFields(original),
+        after: pickResultFields({ ...original, ...editedById[id] }),
+        summary: `Edited ${driverLabel(original.driver_id)}, ${original.races?.name || `Race ${round}`}`
+      });
+    }
+
+    await updateStandings();
+    return;
+  }
+}
+
+function discardChanges() {
+  for (const td of getDirtyCells()) {
+    for (const input of td.querySelectorAll('input')) {
+      if (input.type === 'checkbox') {
+        input.checked = input.defaultChecked;
+      } else {
+        input.value = input.defaultValue;
+      }
+    }
+
+    updateDirtyState(td);
+  }
+}
+
+
+
+// --- Standings as of round N ---
+
+// Grid data up to the selected round (everything when asOfRound is null)
+function getVisibleGridData() {
+  if (asOfRound === null) {
+    return { races: gridRaces, results: gridResults };
+  }
+
+  return {
+    races: gridRaces.filter(r => r.round_number <= asOfRound),
+    results: gridResults.filter(r => (r.races?.round_number ?? 0) <= asOfRound)
+  };
+}
+
+// Sets driver.place_change: places gained (+) or lost (-) since the previous round
+function attachPlaceChanges(drivers, results, round) {
+  const previous = results.filter(r => (r.races?.round_number ?? 0) < round);
+  const driversWithHistory = new Set(previous.map(r => r.driver_id));
+
+  const before = drivers.map(d => ({ ...d }));
+  computeStandings(before, pickLatestResultPerDriver(previous), previous, getTieBreakers(), getCountingRule(), penalties);
+
+  const previousPlace = {};
+  for (const d of before) {
+    previousPlace[d.id] = d.place;
+  }
+
+  for (const d of drivers) {
+    d.place_change = round > 1 && driversWithHistory.has(d.id)
+      ? previousPlace[d.id] - d.place
+      : null;
+  }
+}
+
+function computeStandingsView() {
+  const { races, results } = getVisibleGridData();
+
+  computeStandings(drivers, pickLatestResultPerDriver(results), results, getTieBreakers(), getCountingRule(), penalties);
+
+  const lastRound = races.length > 0 ? races[races.length - 1].round_number : 0;
+  attachPlaceChanges(drivers, results, lastRound);
+  computeConstructorsView(results, lastRound);
+
+  return { races, results };
+}
+
+function renderStandingsView() {
+  const { races, results } = computeStandingsView();
+
+  renderStandingsTable(drivers);
+  renderConstructorsTable(teams);
+  renderGrid(drivers, races, indexResultsByDriverAndRace(results));
+  renderProgressCharts(drivers, races, results);
+}
+
+function formatPlaceChange(change) {
+  if (change === null || change === undefined) return '';
+  if (change > 0) return `▲${change}`;
+  if (change < 0) return `▼${-change}`;
+  return '–';
+}
+
+function renderRoundSelect(races) {
+  const select = document.getElementById('as-of-round-select');
+  if (!select) return;
+
+  // Forget a round that no longer exists (deleted race, other championship)
+  if (asOfRound !== null && !races.some(r => r.round_number === asOfRound)) {
+    asOfRound = null;
+  }
+
+  const options = [html`<option value=""${asOfRound === null ? ' selected' : ''}>Latest</option>`];
+
+  for (const r of races) {
+    const label = r.name ? r.name : `Race ${r.round_number}`;
+    const selected = r.round_number === asOfRound ? ' selected' : '';
+    options.push(html`<option value="${r.round_number}"${selected}>${r.round_number}. ${label}</option>`);
+  }
+
+  select.innerHTML = html`${options}`;
+}
+
+// --- Season progression charts (inline SVG) ---
+// Bump chart of places and cumulative CP line chart, one point per round.
+
+let highlightedChartDriverId = null;
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 20, right: 20, bottom: 30, left: 40 };
+
+// Stable colour per driver regardless of their current place
+function driverColor(driverId, allDrivers) {
+  const ordered = [...allDrivers].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  const index = ordered.findIndex(d => d.id === driverId);
+  return `hsl(${Math.round((index * 137.5) % 360)}, 65%, 55%)`;
+}
+
+// Standings after each round: { driverId: [{ race, place, cp } | null, ...] }
+// null marks rounds before the driver's first result.
+function computeProgression(drivers, races, results) {
+  const series = {};
+  for (const d of drivers) {
+    series[d.id] = [];
+  }
+
+  const started = new Set();
+
+  for (const race of races) {
+    const upTo = results.filter(r => (r.races?.round_number ?? 0) <= race.round_number);
+    for (const r of upTo) {
+      started.add(r.driver_id);
+    }
+
+    const snapshot = drivers.map(d => ({ ...d }));
+    computeStandings(snapshot, pickLatestResultPerDriver(upTo), upTo, getTieBreakers(), getCountingRule(), penalties);
+
+    for (const d of snapshot) {
+      series[d.id].push(started.has(d.id) ? { race, place: d.place, cp: d.current_cp ?? 0 } : null);
+    }
+  }
+
+  return series;
+}
+
+function renderLineChart(container, { drivers, races, series, valueKey, invert, formatValue }) {
+  if (!container) return;
+
+  if (races.length === 0 || drivers.length === 0) {
+    container.innerHTML = '<em>No races yet.</em>';
+    return;
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const values = Object.values(series).flat().filter(Boolean).map(p => p[valueKey]);
+  // Points deductions can take CP below zero
+  const minValue = invert ? 1 : Math.min(0, ...values);
+  const maxValue = Math.max(minValue + 1, ...values);
+
+  const x = (i) => CHART_PADDING.left + (races.length === 1 ? plotWidth / 2 : (i * plotWidth) / (races.length - 1));
+  const y = (v) => {
+    const ratio = (v - minValue) / (maxValue - minValue);
+    return CHART_PADDING.top + (invert ? ratio : 1 - ratio) * plotHeight;
+  };
+
+  const parts = [];
+
+  // Axes labels: rounds along the bottom, a few value ticks on the left
+  races.forEach((race, i) => {
+    parts.push(html`<text x="${x(i)}" y="${CHART_HEIGHT - 8}" text-anchor="middle" class="chart-axis">R${race.round_number}</text>`);
+  });
+
+  const tickCount = Math.min(5, maxValue - minValue);
+  for (let t = 0; t <= tickCount; t++) {
+    const v = Math.round(minValue + ((maxValue - minValue) * t) / tickCount);
+    parts.push(html`
+      <line x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(v)}" y2="${y(v)}" class="chart-grid" />
+      <text x="${CHART_PADDING.left - 6}" y="${y(v) + 4}" text-anchor="end" class="chart-axis">${invert ? `P${v}` : v}</text>
+    `);
+  }
+
+  for (const d of drivers) {
+    const color = driverColor(d.id, drivers);
+    const points = series[d.id] || [];
+
+    let path = '';
+    const dots = [];
+
+    points.forEach((p, i) => {
+      if (!p) return;
+
+      path += `${path ? 'L' : 'M'}${x(i)},${y(p[valueKey])} `;
+
+      const raceLabel = p.race.name ? p.race.name : `Race ${p.race.round_number}`;
+      dots.push(html`
+        <circle cx="${x(i)}" cy="${y(p[valueKey])}" r="4" fill="${color}">
+          <title>${d.name} · ${raceLabel}: ${formatValue(p)}</title>
+        </circle>
+      `);
+    });
+
+    parts.push(html`
+      <g class="chart-series" data-driver-id="${d.id}">
+        <path d="${path}" fill="none" stroke="${color}" stroke-width="2" />
+        ${dots}
+      </g>
+    `);
+  }
+
+  container.innerHTML = html`<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="progress-chart" role="img">${parts}</svg>`;
+}
+
+function renderProgressLegend(drivers) {
+  const legend = document.getElementById('progress-legend');
+  if (!legend) return;
+
+  legend.innerHTML = html`${drivers.map(d => html`
+    <button class="legend-item" data-driver-id="${d.id}">
+      <span class="legend-swatch" style="background:${driverColor(d.id, drivers)};"></span>
+      ${d.name}
+    </button>
+  `)}`;
+}
+
+function applyChartHighlight() {
+  const selected = highlightedChartDriverId;
+
+  for (const el of document.querySelectorAll('#progress-section [data-driver-id]')) {
+    const isSelected = String(el.dataset.driverId) === String(selected);
+    el.classList.toggle('highlighted', selected !== null && isSelected);
+    el.classList.toggle('dimmed', selected !== null && !isSelected);
+  }
+}
+
+function renderProgressCharts(drivers, races, results) {
+  const series = computeProgression(drivers, races, results);
+
+  renderProgressLegend(drivers);
+
+  renderLineChart(document.getElementById('bump-chart'), {
+    drivers, races, series,
+    valueKey: 'place',
+    invert: true,
+    formatValue: p => `P${p.place}, ${p.cp} CP`
+  });
+
+  renderLineChart(document.getElementById('cp-chart'), {
+    drivers, races, series,
+    valueKey: 'cp',
+    invert: false,
+    formatValue: p => `${p.cp} CP (P${p.place})`
+  });
+
+  applyChartHighlight();
+}
+
+// --- Detail views (hash routes) ---
+// #/driver/<id> opens a driver profile, #/race/<id> a race classification;
+// an empty hash shows the main page.
+
+function parseRoute() {
+  const match = window.location.hash.match(/^#\/(driver|race)\/(.+)$/);
+  if (!match) return null;
+
+  return { view: match[1], id: decodeURIComponent(match[2]) };
+}
+
+function renderCurrentRoute() {
+  const view = document.getElementById('detail-view');
+  if (!view) return;
+
+  const route = parseRoute();
+  document.body.classList.toggle('route-detail', !!route);
+
+  if (!route) {
+    view.innerHTML = '';
+    return;
+  }
+
+  if (route.view === 'driver') {
+    renderDriverProfile(view, route.id);
+  } else if (route.view === 'race') {
+    // Don't wipe notes an admin is typing when live updates redraw the page
+    if (view.contains(document.activeElement) && document.activeElement.id === 'race-notes-input') {
+      return;
+    }
+    renderRaceDetail(view, route.id);
+  }
+}
+
+async function saveRaceNotes(raceId, notes) {
+  const { error } = await repository.races.update(raceId, { notes: notes });
+
+  if (error) {
+    console.error('Error saving race notes:', error.message);
+    alert('Could not save notes: ' + error.message);
+    return false;
+  }
+
+  const race = gridRaces.find(r => String(r.id) === String(raceId));
+  await recordAudit({
+    kind: 'update',
+    table: 'races',
+    rowId: raceId,
+    raceId: raceId,
+    before: { notes: race?.notes ?? null },
+    after: { notes: notes },
+    summary: `Edited the notes of ${race?.name || 'a race'}`
+  });
+
+  return true;
+}
+
+function renderRaceDetail(view, raceId) {
+  const raceIndex = gridRaces.findIndex(r => String(r.id) === raceId);
+  const race = gridRaces[raceIndex];
+
+  if (!race) {
+    view.innerHTML = `
+      <p><a href="#">← Back to standings</a></p>
+      <em>Race not found in this championship.</em>
+    `;
+    return;
+  }
+
+  const raceLabel = race.name ? race.name : `Race ${race.round_number}`;
+  const progression = computeProgression(drivers, gridRaces, gridResults);
+
+  // Classification: most CP gained first, then finishing position
+  const rows = gridResults
+    .filter(r => r.race_id === race.id && drivers.some(d => d.id === r.driver_id))
+    .sort((a, b) => {
+      if ((b.cp_after ?? 0) !== (a.cp_after ?? 0)) {
+        return (b.cp_after ?? 0) - (a.cp_after ?? 0);
+      }
+      return finishRank(a.position) - finishRank(b.position);
+    });
+
+  const classificationRows = [];
+  rows.forEach((r, i) => {
+    const driver = drivers.find(d => d.id === r.driver_id);
+    const after = progression[driver.id]?.[raceIndex];
+    const before = raceIndex > 0 ? progression[driver.id]?.[raceIndex - 1] : null;
+    const change = after && before ? before.place - after.place : null;
+
+    classificationRows.push(html`
+      <tr>
+        <td>${i + 1}</td>
+        <td><a href="#/driver/${driver.id}">${driver.name}</a></td>
+        <td>${carForRound(driver, race.round_number)}</td>
+        <td>${formatFinish(r)}</td>
+        <td>${r.cp_after ?? 0}</td>
+        <td>${r.pi_after ?? 0}</td>
+        <td>${r.penalty_for_next ?? 0}</td>
+        <td>${after ? after.place : ''} ${formatPlaceChange(change)}</td>
+      </tr>
+    `);
+  });
+
+  const notesHtml = isAdmin
+    ? html`
+      <textarea id="race-notes-input" rows="4" style="width:100%; max-width:600px;">${race.notes || ''}</textarea>
+      <div><button id="save-race-notes-button" data-race-id="${race.id}">Save notes</button></div>
+    `
+    : html`<p style="white-space:pre-wrap;">${race.notes || html`<em>No notes.</em>`}</p>`;
+
+  const racePenalties = penalties.filter(p => p.race_id === race.id);
+
+  view.innerHTML = html`
+    <p><a href="#">← Back to standings</a></p>
+    <h2>Round ${race.round_number}: ${raceLabel}</h2>
+    <p>${race.race_date ? race.race_date : 'Date not set'}</p>
+
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Driver</th>
+          <th>Car</th>
+          <th>Finish</th>
+          <th>CP</th>
+          <th>PI</th>
+          <th>Pen</th>
+          <th>Standings after race</th>
+        </tr>
+      </thead>
+      <tbody>${classificationRows.length > 0 ? classificationRows : html`<tr><td colspan="8"><em>No results yet.</em></td></tr>`}</tbody>
+    </table>
+
+    <h3>Penalties</h3>
+    ${renderPenaltyList(racePenalties, { showDriver: true, showRace: false })}
+    ${canEditPenalties() && renderPenaltyForm(race)}
+
+    <h3>Notes</h3>
+    ${notesHtml}
+  `;
+}
+
+// rows: the driver's races with a finish. Penalty amounts are kept per
+// type: grid places, PI and CP don't add up.
+function computeDriverStats(rows, driverPenalties = []) {
+  const classified = rows.filter(r => r.position && !r.dnf && !r.dsq);
+  const totalCp = rows.reduce((sum, r) => sum + (r.cp_after ?? 0), 0);
+
+  const penaltyTotals = {};
+  for (const p of driverPenalties) {
+    penaltyTotals[p.type] = (penaltyTotals[p.type] ?? 0) + (p.amount ?? 0);
+  }
+
+  return {
+    bestFinish: classified.length > 0 ? Math.min(...classified.map(r => r.position)) : null,
+    roundsScored: rows.filter(r => (r.cp_after ?? 0) > 0).length,
+    averageCp: rows.length > 0 ? totalCp / rows.length : 0,
+    penaltyTotals: penaltyTotals,
+    penaltyCount: driverPenalties.length
+  };
+}
+
+function formatPenaltyTotals(totals) {
+  const parts = Object.keys(PENALTY_TYPES)
+    .filter(type => totals[type])
+    .map(type => `${PENALTY_TYPES[type]} ${totals[type]}`);
+
+  return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+function renderDriverProfile(view, driverId) {
+  const driver = drivers.find(d => String(d.id) === driverId);
+
+  if (!driver) {
+    view.innerHTML = `
+      <p><a href="#">← Back to standings</a></p>
+      <em>Driver not found in this championship.</em>
+    `;
+    return;
+  }
+
+  // Did-not-start rows and races not run yet are left out
+  const rows = sortByRound(gridResults.filter(r => r.driver_id === driver.id && hasFinish(r)));
+  const progression = computeProgression(drivers, gridRaces, gridResults)[driver.id] || [];
+  const placeByRaceId = {};
+  for (const p of progression) {
+    if (p) placeByRaceId[p.race.id] = p.place;
+  }
+
+  const driverPenalties = sortByRound(penalties.filter(p => p.driver_id === driver.id));
+  const stats = computeDriverStats(rows, driverPenalties);
+
+  const historyRows = rows.map(r => {
+    const round = r.races?.round_number ?? '?';
+    const raceLabel = r.races?.name || `Race ${round}`;
+
+    return html`
+      <tr>
+        <td>${round}</td>
+        <td><a href="#/race/${r.race_id}">${raceLabel}</a></td>
+        <td>${carForRound(driver, r.races?.round_number ?? 0)}</td>
+        <td>${formatFinish(r)}</td>
+        <td>${r.cp_after ?? 0} | ${r.pi_after ?? 0} | ${r.penalty_for_next ?? 0}</td>
+        <td>${r.cp_before ?? 0} | ${r.pi_before ?? 0} | ${r.penalty_before ?? 0}</td>
+        <td>${placeByRaceId[r.race_id] ?? ''}</td>
+      </tr>
+    `;
+  });
+
+  view.innerHTML = html`
+    <p><a href="#">← Back to standings</a></p>
+    <h2>${formatDriverName(driver)}</h2>
+    <p>${driver.car}${driver.team_id ? ` – ${teamName(driver.team_id)}` : ''}</p>
+
+    <ul class="driver-stats">
+      <li>Current place: ${formatPlace(driver) || '-'}</li>
+      <li>Best finish: ${stats.bestFinish ? `P${stats.bestFinish}` : '-'}</li>
+      <li>Rounds scored: ${stats.roundsScored} of ${rows.length}</li>
+      <li>Average CP per race: ${stats.averageCp.toFixed(1)}</li>
+      <li>Penalties received: ${formatPenaltyTotals(stats.penaltyTotals)} (${stats.penaltyCount} penalt${stats.penaltyCount === 1 ? 'y' : 'ies'})</li>
+    </ul>
+
+    <table>
+      <thead>
+        <tr>
+          <th>Round</th>
+          <th>Race</th>
+          <th>Car</th>
+          <th>Finish</th>
+          <th>Race CP | PI | Pen</th>
+          <th>Carried CP | PI | Pen</th>
+          <th>Place after round</th>
+        </tr>
+      </thead>
+      <tbody>${historyRows.length > 0 ? historyRows : html`<tr><td colspan="7"><em>No races yet.</em></td></tr>`}</tbody>
+    </table>
+
+    <h3>Penalties</h3>
+    ${renderPenaltyList(driverPenalties, { showDriver: false, showRace: true })}
+  `;
+}
+
+// --- Standings table and exports ---
+
+function formatPlace(driver) {
+  return driver.place ? `${driver.place_shared ? '=' : ''}${driver.place}` : '';
+}
+
+function renderStandingsTable(drivers) {
+  const tbody = document.getElementById('standings-body');
+  if (!tbody) return;
+
+  tbody.innerHTML = html`${drivers.map(d => html`
+      <tr>
+        <td>${formatPlace(d)}</td>
+        <td>${formatPlaceChange(d.place_change)}</td>
+        <td><a href="#/driver/${d.id}">${formatDriverName(d)}</a></td>
+        <td>${d.car}</td>
+        <td>${d.current_cp ?? 0}</td>
+        <td>${d.effective_pi ?? d.current_pi ?? 0}</td>
+        <td>${d.current_penalty ?? 0}</td>
+      </tr>
+    `)}`;
+}
+
+function buildStandingsExport(drivers) {
+  return drivers.map(d => ({
+    place: formatPlace(d),
+    change: d.place_change ?? '',
+    number: d.number ?? '',
+    name: d.name,
+    car: d.car,
+    cp: d.current_cp ?? 0,
+    effective_pi: d.effective_pi ?? d.current_pi ?? 0,
+    penalty: d.current_penalty ?? 0
+  }));
+}
+
+// One entry per driver and race, with the grid's delta row and carried-over row
+function buildGridExport(drivers, races, resultMap) {
+  const rows = [];
+
+  for (const d of drivers) {
+    for (const race of races) {
+      const r = resultMap[`${d.id}_${race.id}`];
+      if (!r) continue;
+
+      const v = computeCellValues(r);
+
+      rows.push({
+        driver: d.name,
+        car: carForRound(d, race.round_number),
+        round: race.round_number,
+        race: race.name || `Race ${race.round_number}`,
+        race_date: race.race_date || '',
+        finish: formatFinish(r),
+        delta_cp: v.cpAfter,
+        delta_pi: v.piAfter,
+        delta_penalty: v.penNext,
+        carried_cp: v.cpBefore,
+        carried_pi: v.piBefore,
+        carried_penalty: v.penBefore
+      });
+    }
+  }
+
+  return rows;
+}
+
+function buildConstructorsExport(teams) {
+  return teams.map(t => ({
+    place: formatPlace(t),
+    change: t.place_change ?? '',
+    team: t.name,
+    drivers: drivers
+      .filter(d => String(d.team_id) === String(t.id))
+      .map(d => d.name)
+      .join('; '),
+    cp: t.current_cp ?? 0
+  }));
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(c => escape(row[c])).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+function exportData(kind, format) {
+  const championship = getCurrentChampionship();
+  const baseName = `${championship?.slug || 'championship'}-${kind}`;
+
+  let rows;
+  if (kind === 'standings') {
+    rows = buildStandingsExport(drivers);
+  } else if (kind === 'constructors') {
+    rows = buildConstructorsExport(teams);
+  } else {
+    const { races, results } = getVisibleGridData();
+    rows = buildGridExport(drivers, races, indexResultsByDriverAndRace(results));
+  }
+
+  if (format === 'csv') {
+    downloadFile(`${baseName}.csv`, toCsv(rows), 'text/csv');
+  } else {
+    const payload = {
+      championship: championship?.name || null,
+      exported_at: new Date().toISOString(),
+      [kind]: rows
+    };
+    downloadFile(`${baseName}.json`, JSON.stringify(payload, null, 2), 'application/json');
+  }
+}
+
+// Print only the standings table; the print stylesheet keys off the body class
+function printStandings() {
+  document.body.classList.add('print-standings');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('print-standings');
+  }, { once: true });
+  window.print();
+}
+
+// --- Season import (CSV / JSON) ---
+// JSON: { drivers: [{ name, car }], races: [{ round, name, date }],
+//         results: [{ driver, round, position, fastest_lap, pole, dnf, dsq, pi, penalty, cp }] }
+// CSV:  one result per line with the columns
+//       round,race,date,driver,car,position,fastest_lap,pole,dnf,dsq,pi,penalty,cp
+//       (a line without a round only declares a driver)
+// Drivers are matched by name (case-insensitive), races by round number.
+
+let pendingImport = null;
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+  return nonEmpty.slice(1).map(values => {
+    const obj = {};
+    header.forEach((key, i) => {
+      obj[key] = (values[i] ?? '').trim();
+    });
+    return obj;
+  });
+}
+
+function parseImportFlag(value) {
+  if (typeof value === 'boolean') return value;
+  return ['1', 'true', 'yes', 'y', 'x'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function normalizeName(name) {
+  return String(name ?? '').trim().toLowerCase();
+}
+
+// Both formats end up as { drivers, races, results } with DB column names
+function normalizeImport(fileName, text) {
+  let data;
+
+  if (fileName.toLowerCase().endsWith('.json') || text.trim().startsWith('{')) {
+    data = JSON.parse(text);
+  } else {
+    const lines = parseCsv(text);
+    data = { drivers: [], races: [], results: [] };
+
+    for (const line of lines) {
+      if (line.driver) {
+        data.drivers.push({ name: line.driver, car: line.car });
+      }
+      if (!isBlank(line.round)) {
+        data.races.push({ round: line.round, name: line.race, date: line.date });
+        if (line.driver) {
+          data.results.push({ ...line });
+        }
+      }
+    }
+  }
+
+  const drivers = {};
+  for (const d of data.drivers || []) {
+    if (isBlank(d.name)) continue;
+    const key = normalizeName(d.name);
+    drivers[key] = { name: String(d.name).trim(), car: isBlank(d.car) ? drivers[key]?.car ?? '' : String(d.car).trim() };
+  }
+
+  const races = {};
+  for (const r of data.races || []) {
+    const round = parseInt(r.round, 10);
+    // "1", "01" and 1 are the same round; invalid ones stay apart for the error
+    const key = Number.isNaN(round) ? String(r.round).trim() : String(round);
+    races[key] = {
+      round_number: round,
+      name: isBlank(r.name) ? races[key]?.name ?? null : String(r.name).trim(),
+      race_date: isBlank(r.date) ? races[key]?.race_date ?? null : String(r.date).trim()
+    };
+  }
+
+  const results = (data.results || []).map(r => {
+    const values = {};
+
+    if (!isBlank(r.position)) values.position = r.position;
+    for (const flag of ['fastest_lap', 'pole', 'dnf', 'dsq']) {
+      if (!isBlank(r[flag])) values[flag] = parseImportFlag(r[flag]);
+    }
+    if (!isBlank(r.pi)) values.pi_after = r.pi;
+    if (!isBlank(r.penalty)) values.penalty_for_next = r.penalty;
+    if (!isBlank(r.cp)) values.cp_after = r.cp;
+
+    return { driver_name: String(r.driver ?? '').trim(), round_number: parseInt(r.round, 10), values };
+  });
+
+  return { drivers: Object.values(drivers), races: Object.values(races), results };
+}
+
+// Imported and pasted numbers follow the same rules; returns what is wrong
+// with the text, or null
+function wholeNumberError(text, isPosition) {
+  if (!/^-?\d+$/.test(text)) return 'not a whole number';
+  if (isPosition && parseInt(text, 10) < 1) return 'position must be 1 or more';
+  return null;
+}
+
+// Dry run: what would be created or updated, without writing anything
+async function planImport(imported) {
+  const existingDrivers = await fetchDrivers();
+  const existingRaces = await fetchRaces();
+  const allResults = await fetchAllResults();
+  const scoring = getScoringSystem();
+
+  const plan = {
+    imported: imported, // kept to plan again after a failed import
+    driverCreates: [],
+    driverUpdates: [],
+    raceCreates: [],
+    raceUpdates: [],
+    resultWrites: [],
+    skipped: [],
+    errors: []
+  };
+
+  const driverByName = {};
+  for (const d of existingDrivers) {
+    driverByName[normalizeName(d.name)] = d;
+  }
+
+  for (const d of imported.drivers) {
+    const existing = driverByName[normalizeName(d.name)];
+    if (!existing) {
+      plan.driverCreates.push(d);
+    } else if (d.car && d.car !== existing.car) {
+      plan.driverUpdates.push({ driver: existing, car: d.car });
+    }
+  }
+
+  const raceByRound = {};
+  for (const r of existingRaces) {
+    raceByRound[r.round_number] = r;
+  }
+
+  for (const r of imported.races) {
+    if (!Number.isInteger(r.round_number) || r.round_number < 1) {
+      plan.errors.push(`Invalid round number "${r.round_number}".`);
+      continue;
+    }
+
+    const existing = raceByRound[r.round_number];
+    if (!existing) {
+      plan.raceCreates.push({ ...r, name: r.name || `Race ${r.round_number}` });
+    } else if ((r.name && r.name !== existing.name) || (r.race_date && r.race_date !== existing.race_date)) {
+      plan.raceUpdates.push({ race: existing, name: r.name || existing.name, race_date: r.race_date || existing.race_date });
+    }
+  }
+
+  const knownDrivers = new Set([
+    ...existingDrivers.map(d => normalizeName(d.name)),
+    ...plan.driverCreates.map(d => normalizeName(d.name))
+  ]);
+  const knownRounds = new Set([
+    ...existingRaces.map(r => r.round_number),
+    ...plan.raceCreates.map(r => r.round_number)
+  ]);
+
+  const resultMap = indexResultsByDriverAndRace(allResults);
+
+  for (const r of imported.results) {
+    const label = `${r.driver_name}, round ${r.round_number}`;
+
+    if (!knownDrivers.has(normalizeName(r.driver_name))) {
+      plan.errors.push(`${label}: unknown driver.`);
+      continue;
+    }
+    if (!knownRounds.has(r.round_number)) {
+      plan.errors.push(`${label}: unknown round.`);
+      continue;
+    }
+
+    const driver = driverByName[normalizeName(r.driver_name)];
+    const race = raceByRound[r.round_number];
+    const existing = driver && race ? resultMap[`${driver.id}_${race.id}`] : null;
+
+    // Rows are only created for active drivers (as for a new race), so a
+    // withdrawn driver's result can only change a row they already have
+    if (driver && !driver.active && !existing) {
+      plan.skipped.push(`${label}: ${driver.name} is withdrawn and has no result for this round.`);
+      continue;
+    }
+
+    const values = {};
+    for (const [key, raw] of Object.entries(r.values)) {
+      if (typeof raw === 'boolean') {
+        values[key] = raw;
+        continue;
+      }
+
+      const error = wholeNumberError(String(raw).trim(), key === 'position');
+      if (error) {
+        plan.errors.push(`${label}: "${raw}" (${key}): ${error}.`);
+      } else {
+        values[key] = parseInt(raw, 10);
+      }
+    }
+
+    if ('position' in values || values.dnf || values.dsq) {
+      values.cp_after = computeCpForResult(values, scoring);
+    }
+
+    const changed = Object.keys(values).filter(
+      key => !existing || formatFieldValue(existing[key]) !== formatFieldValue(values[key])
+    );
+    if (changed.length === 0) continue;
+
+    plan.resultWrites.push({ driver_name: r.driver_name, round_number: r.round_number, existing, values, changed });
+  }
+
+  return plan;
+}
+
+function renderImportPreview(plan) {
+  const container = document.getElementById('import-preview');
+  const applyBtn = document.getElementById('apply-import-button');
+  if (!container) return;
+
+  const parts = [];
+
+  if (plan.errors.length > 0) {
+    parts.push(html`
+      <p><strong>${plan.errors.length} problem(s) must be fixed before importing:</strong></p>
+      <ul>${plan.errors.map(e => html`<li>${e}</li>`)}</ul>
+    `);
+  }
+
+  const items = [];
+  for (const d of plan.driverCreates) {
+    items.push(html`<li>Create driver ${d.name} (${d.car})</li>`);
+  }
+  for (const u of plan.driverUpdates) {
+    items.push(html`<li>Update driver ${u.driver.name}: car ${u.driver.car} → ${u.car}</li>`);
+  }
+  for (const r of plan.raceCreates) {
+    items.push(html`<li>Create round ${r.round_number}: ${r.name}${r.race_date ? ` (${r.race_date})` : ''}</li>`);
+  }
+  for (const u of plan.raceUpdates) {
+    items.push(html`<li>Update round ${u.race.round_number}: ${u.race.name} → ${u.name}${u.race_date ? ` (${u.race_date})` : ''}</li>`);
+  }
+  for (const w of plan.resultWrites) {
+    const verb = w.existing ? 'Update' : 'Create';
+    const fields = w.changed
+      .map(key => `${key} ${w.existing ? `${formatFieldValue(w.existing[key])} → ` : ''}${formatFieldValue(w.values[key])}`)
+      .join(', ');
+    items.push(html`<li>${verb} result ${w.driver_name}, round ${w.round_number}: ${fields}</li>`);
+  }
+  parts.push(html`<ul>${items}</ul>`);
+
+  if (plan.skipped.length > 0) {
+    parts.push(html`
+      <p><strong>${plan.skipped.length} result(s) will be skipped:</strong></p>
+      <ul>${plan.skipped.map(s => html`<li>${s}</li>`)}</ul>
+    `);
+  }
+
+  const total = plan.driverCreates.length + plan.driverUpdates.length +
+    plan.raceCreates.length + plan.raceUpdates.length + plan.resultWrites.length;
+
+  if (total === 0 && plan.errors.length === 0 && plan.skipped.length === 0) {
+    container.innerHTML = '<em>Nothing to import: everything already matches.</em>';
+  } else {
+    container.innerHTML = html`${parts}`;
+  }
+
+  applyBtn.style.display = total > 0 && plan.errors.length === 0 ? 'inline-block' : 'none';
+}
+
+// Returns false if a write failed (already reported); what was written before stays
+async function applyImport(plan) {
+  const tablesBefore = await snapshotTables(Object.keys(SNAPSHOT_FETCHERS));
+
+  // 1) Drivers
+  for (const d of plan.driverCreates) {
+    if (!(await createDriver(d.name, d.car))) return false;
+  }
+
+  for (const u of plan.driverUpdates) {
+    const { error } = await repository.drivers.update(u.driver.id, { car: u.car });
+
+    if (error) {
+      console.error('Error updating driver:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+  }
+
+  // 2) Races
+  for (const r of plan.raceCreates) {
+    const { error } = await repository.races.insert({ ...r, championship_id: currentChampionshipId });
+
+    if (error) {
+      console.error('Error creating race:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+  }
+
+  for (const u of plan.raceUpdates) {
+    const { error } = await repository.races.update(u.race.id, { name: u.name, race_date: u.race_date });
+
+    if (error) {
+      console.error('Error updating race:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+  }
+
+  // 3) One results row per driver and race, like createDefaultResultsForRace
+  drivers = await fetchDrivers();
+  const races = await fetchRaces();
+  let allResults = await fetchAllResults();
+  let resultMap = indexResultsByDriverAndRace(allResults);
+
+  const missing = [];
+  for (const race of races) {
+    for (const d of drivers.filter(d => d.active)) {
+      if (!resultMap[`${d.id}_${race.id}`]) {
+        missing.push({
+          driver_id: d.id,
+          race_id: race.id,
+          cp_before: 0,
+          pi_before: 0,
+          penalty_before: 0,
+          cp_after: 0,
+          pi_after: 0,
+          penalty_for_next: 0
+        });
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    const { error } = await repository.results.insert(missing);
+
+    if (error) {
+      console.error('Error inserting default results:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+
+    allResults = await fetchAllResults();
+    resultMap = indexResultsByDriverAndRace(allResults);
+  }
+
+  // 4) Imported values, written in one batch
+  const driverByName = {};
+  for (const d of drivers) {
+    driverByName[normalizeName(d.name)] = d;
+  }
+  const raceByRound = {};
+  for (const r of races) {
+    raceByRound[r.round_number] = r;
+  }
+
+  const rows = [];
+  const penaltyWrites = [];
+  for (const w of plan.resultWrites) {
+    const driver = driverByName[normalizeName(w.driver_name)];
+    const race = raceByRound[w.round_number];
+    const original = driver && race ? resultMap[`${driver.id}_${race.id}`] : null;
+    if (original) {
+      rows.push(buildResultWrite(original, w.values));
+    }
+    if (original && w.values.penalty_for_next !== undefined) {
+      penaltyWrites.push({ driver_id: driver.id, race_id: race.id, amount: w.values.penalty_for_next });
+    }
+  }
+
+  if (rows.length > 0) {
+    const { error } = await repository.results.save(rows);
+
+    if (error) {
+      console.error('Error writing imported results:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+  }
+
+  // 5) Imported penalty values become one-round PI deductions, replacing
+  //    those from an earlier import of the same results
+  for (const p of penaltyWrites) {
+    const { error } = await repository.penalties.removeWhere({
+      driver_id: p.driver_id,
+      race_id: p.race_id,
+      reason: IMPORTED_PENALTY_REASON
+    });
+
+    if (error) {
+      console.error('Error replacing imported penalties:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+  }
+
+  const penaltyRows = penaltyWrites
+    .filter(p => p.amount > 0)
+    .map(p => ({
+      ...p,
+      type: 'pi_deduction',
+      reason: IMPORTED_PENALTY_REASON,
+      expires_after_rounds: 1
+    }));
+
+  if (penaltyRows.length > 0) {
+    const { error } = await repository.penalties.insert(penaltyRows);
+
+    if (error) {
+      console.error('Error importing penalties:', error.message);
+      alert('Import failed: ' + error.message);
+      return false;
+    }
+  }
+
+  // 6) Derived penalties, then the cumulative before/after chain from round 1
+  allResults = await fetchAllResults();
+  if (!(await applyPenaltyRecords(allResults)) ||
+      !(await applyCarryOverChanges(planSeasonCarryOver(allResults, penalties)))) {
+    return false;
+  }
+
+  const { before, after } = diffSnapshots(tablesBefore, await snapshotTables(Object.keys(SNAPSHOT_FETCHERS)));
+  await recordAudit({
+    kind: 'insert',
+    table: 'results',
+    before: before,
+    after: after,
+    summary: `Imported ${plan.resultWrites.length} result(s), ${plan.driverCreates.length} new driver(s), ${plan.raceCreates.length} new race(s)`,
+    undoable: false
+  });
+
+  await updateStandings();
+  return true;
+}
+
+// --- Keyboard navigation and spreadsheet paste ---
+// The admin grid's number inputs form a matrix: two lines per driver (race
+// values on top, carried-over totals below) and three columns per race.
+// Cells without a result are kept as empty slots so columns stay aligned.
+
+const NAV_LINES = [
+  ['pos', 'pi_after', 'pen_next'],
+  ['cp_before', 'pi_before', 'pen_before']
+];
+
+function buildInputMatrix() {
+  const tbody = document.getElementById('grid-body');
+  const matrix = [];
+
+  for (const tr of tbody.rows) {
+    const lines = NAV_LINES.map(() => []);
+
+    for (const td of [...tr.cells].slice(1)) {
+      const id = td.dataset.resultId;
+
+      NAV_LINES.forEach((fields, line) => {
+        for (const f of fields) {
+          lines[line].push(id ? document.getElementById(`${f}_${id}`) : null);
+        }
+      });
+    }
+
+    matrix.push(...lines);
+  }
+
+  return matrix;
+}
+
+function findInMatrix(matrix, input) {
+  for (let row = 0; row < matrix.length; row++) {
+    const col = matrix[row].indexOf(input);
+    if (col >= 0) return { row, col };
+  }
+  return null;
+}
+
+// Steps in one direction until it lands on an input, skipping empty slots
+function moveFocus(matrix, from, dRow, dCol) {
+  let { row, col } = from;
+
+  for (;;) {
+    row += dRow;
+    col += dCol;
+
+    if (row < 0 || row >= matrix.length || col < 0 || col >= matrix[row].length) {
+      return;
+    }
+
+    const target = matrix[row][col];
+    if (target) {
+      target.focus();
+      target.select();
+      return;
+    }
+  }
+}
+
+// Tab order runs along a line and wraps onto the next one; returns false
+// past the first or last input
+function moveFocusLinear(matrix, from, step) {
+  const flat = matrix.flat();
+  let index = from.row * matrix[0].length + from.col;
+
+  for (;;) {
+    index += step;
+    if (index < 0 || index >= flat.length) return false;
+
+    if (flat[index]) {
+      flat[index].focus();
+      flat[index].select();
+      return true;
+    }
+  }
+}
+
+function handleGridKeydown(e) {
+  if (!e.target.matches('input[type="number"]')) return;
+
+  const matrix = buildInputMatrix();
+  const from = findInMatrix(matrix, e.target);
+  if (!from) return;
+
+  const moves = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1]
+  };
+
+  if (moves[e.key]) {
+    e.preventDefault(); // number inputs would otherwise step their value
+    moveFocus(matrix, from, ...moves[e.key]);
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    moveFocus(matrix, from, e.shiftKey ? -1 : 1, 0);
+  } else if (e.key === 'Tab') {
+    // From the first or last input Tab leaves the grid as usual
+    if (moveFocusLinear(matrix, from, e.shiftKey ? -1 : 1)) {
+      e.preventDefault();
+    }
+  }
+}
+
+function parseClipboardBlock(text) {
+  const lines = text.replace(/\r/g, '').split('\n');
+
+  // Spreadsheets end a copied block with a newline
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines.map(line => line.split('\t'));
+}
+
+// Pasted rows go to the same line of the following drivers (every second
+// matrix row); pasted columns go to the following inputs along that line.
+function planPaste(matrix, from, block) {
+  const cells = [];
+  let outside = 0;
+
+  block.forEach((values, i) => {
+    values.forEach((raw, j) => {
+      const text = raw.trim();
+      if (text === '') return; // empty spreadsheet cell leaves the input alone
+
+      const row = from.row + i * NAV_LINES.length;
+      const col = from.col + j;
+      const input = matrix[row]?.[col];
+
+      if (!input) {
+        outside++;
+        return;
+      }
+
+      let error = wholeNumberError(text, input.id.startsWith('pos_'));
+      if (!error && input.readOnly) {
+        error = 'set through penalty records';
+      }
+
+      cells.push({ input, text, error });
+    });
+  });
+
+  return { cells, outside };
+}
+
+function describeInput(input) {
+  const td = input.closest('td');
+  const driver = drivers.find(d => String(d.id) === input.closest('tr').dataset.driverId);
+  const race = gridRaces.find(r => String(r.id) === td.dataset.raceId);
+  const field = input.id.replace(/_[^_]+$/, '');
+
+  return `${driver ? driver.name : '?'} · ${race ? (race.name || `Race ${race.round_number}`) : '?'} · ${field}`;
+}
+
+// Resolves to true when the admin applies the pasted values
+function previewPaste(plan) {
+  const dialog = document.getElementById('paste-dialog');
+  const errors = plan.cells.filter(c => c.error);
+
+  const rows = plan.cells.map(c => html`
+      <tr${c.error && html` class="paste-error"`}>
+        <td>${describeInput(c.input)}</td>
+        <td>${c.input.value}</td>
+        <td>${c.text}${c.error ? ` (${c.error})` : ''}</td>
+      </tr>
+    `);
+
+  const notes = [];
+  if (errors.length > 0) notes.push(`${errors.length} value(s) are invalid; fix them in the spreadsheet and paste again.`);
+  if (plan.outside > 0) notes.push(`${plan.outside} value(s) fall outside the grid and will be ignored.`);
+
+  dialog.innerHTML = html`
+    <h3>Paste ${plan.cells.length} value(s)</h3>
+    <p>${notes.join(' ')}</p>
+    <div style="max-height:60vh; overflow:auto;">
+      <table>
+        <thead><tr><th>Cell</th><th>Current</th><th>Pasted</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div style="margin-top:10px;">
+      <button data-choice="apply"${errors.length > 0 ? ' disabled' : ''}>Apply</button>
+      <button data-choice="cancel">Cancel</button>
+    </div>
+  `;
+
+  return new Promise(resolve => {
+    // Escape closes the dialog without a click: same as Cancel
+    dialog.onclose = () => {
+      dialog.onclick = null;
+      dialog.onclose = null;
+      resolve(false);
+    };
+
+    dialog.onclick = (e) => {
+      const choice = e.target.closest('button')?.dataset.choice;
+      if (!choice) return;
+
+      dialog.onclick = null;
+      dialog.onclose = null;
+      dialog.close();
+      resolve(choice === 'apply');
+    };
+
+    dialog.showModal();
+  });
+}
+
+async function handleGridPaste(e) {
+  if (!e.target.matches('input[type="number"]')) return;
+
+  const text = e.clipboardData.getData('text/plain');
+  if (!/[\t\n]/.test(text.trim())) return; // a single value pastes normally
+
+  e.preventDefault();
+
+  const matrix = buildInputMatrix();
+  const from = findInMatrix(matrix, e.target);
+  if (!from) return;
+
+  const plan = planPaste(matrix, from, parseClipboardBlock(text));
+  if (plan.cells.length === 0) return;
+
+  if (!(await previewPaste(plan))) return;
+
+  const touched = new Set();
+  for (const c of plan.cells) {
+    c.input.value = c.text;
+    touched.add(c.input.closest('td'));
+  }
+
+  for (const td of touched) {
+    updateDirtyState(td);
+  }
+}
+
+// --- Live updates (Supabase realtime) ---
+// Result changes are applied to the in-memory grid and only the touched
+// rows are redrawn; race and driver changes reload everything.
+
+let liveChannel = null;
+let liveRetryDelay = 1000;
+let liveRetryTimer = null;
+let liveHasConnected = false;
+
+const LIVE_MAX_RETRY_DELAY = 30000;
+const LIVE_RENDER_DELAY = 150;
+
+let pendingLiveDriverIds = new Set();
+let liveRenderTimer = null;
+let liveReloadTimer = null;
+
+function setLiveIndicator(state) {
+  const indicator = document.getElementById('live-indicator');
+  if (!indicator) return;
+
+  const labels = {
+    live: '● Live',
+    connecting: '● Connecting…',
+    reconnecting: '● Reconnecting…',
+    offline: '● Offline'
+  };
+
+  indicator.className = `live-indicator ${state}`;
+  indicator.textContent = labels[state] || labels.offline;
+}
+
+function unsubscribeFromLiveUpdates() {
+  clearTimeout(liveRetryTimer);
+
+  if (liveChannel) {
+    const channel = liveChannel;
+    liveChannel = null;
+    supabaseClient.removeChannel(channel);
+  }
+}
+
+function subscribeToLiveUpdates() {
+  unsubscribeFromLiveUpdates();
+
+  // Local data has no other editors to hear from
+  if (!currentChampionshipId || DEMO_MODE) {
+    setLiveIndicator('offline');
+    return;
+  }
+
+  setLiveIndicator(liveHasConnected ? 'reconnecting' : 'connecting');
+
+  const filter = `championship_id=eq.${currentChampionshipId}`;
+
+  // results has no championship_id column, so it is filtered client-side by race
+  const channel = supabaseClient
+    .channel(`championship-${currentChampionshipId}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'results' }, handleLiveResultChange)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'races', filter }, queueLiveReload)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'drivers', filter }, queueLiveReload);
+
+  liveChannel = channel;
+
+  channel.subscribe((status) => {
+    // Ignore callbacks from a channel we already replaced
+    if (channel !== liveChannel) return;
+
+    if (status === 'SUBSCRIBED') {
+      const wasReconnect = liveHasConnected;
+      liveHasConnected = true;
+      liveRetryDelay = 1000;
+      setLiveIndicator('live');
+
+      // Catch up on anything missed while the socket was down
+      if (wasReconnect) {
+        queueLiveReload();
+      }
+    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+      setLiveIndicator('reconnecting');
+      scheduleLiveReconnect();
+    }
+  });
+}
+
+function scheduleLiveReconnect() {
+  clearTimeout(liveRetryTimer);
+
+  liveRetryTimer = setTimeout(subscribeToLiveUpdates, liveRetryDelay);
+  liveRetryDelay = Math.min(liveRetryDelay * 2, LIVE_MAX_RETRY_DELAY);
+}
+
+function handleLiveResultChange(payload) {
+  const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+  if (!row) return;
+
+  if (payload.eventType === 'DELETE') {
+    // The old record may carry only the id
+    const existing = gridResults.find(r => r.id === row.id);
+    if (!existing) return;
+
+    gridResults = gridResults.filter(r => r.id !== row.id);
+    pendingLiveDriverIds.add(existing.driver_id);
+  } else {
+    const race = gridRaces.find(r => r.id === row.race_id);
+    if (!race) return; // another championship
+
+    const merged = {
+      ...row,
+      races: {
+        championship_id: race.championship_id,
+        round_number: race.round_number,
+        name: race.name
+      }
+    };
+
+    const index = gridResults.findIndex(r => r.id === row.id);
+    if (index >= 0) {
+      gridResults[index] = merged;
+    } else {
+      gridResults.push(merged);
+    }
+
+    pendingLiveDriverIds.add(row.driver_id);
+  }
+
+  // Saves and cascades arrive as bursts of events; redraw once per burst
+  clearTimeout(liveRenderTimer);
+  liveRenderTimer = setTimeout(applyLiveResultChanges, LIVE_RENDER_DELAY);
+}
+
+function applyLiveResultChanges() {
+  const changedDriverIds = pendingLiveDriverIds;
+  pendingLiveDriverIds = new Set();
+
+  const orderBefore = drivers.map(d => d.id).join(',');
+  const { races, results } = computeStandingsView();
+  const orderAfter = drivers.map(d => d.id).join(',');
+
+  renderStandingsTable(drivers);
+  renderConstructorsTable(teams);
+  renderProgressCharts(drivers, races, results);
+  renderCurrentRoute();
+
+  const tbody = document.getElementById('grid-body');
+  const editing = (tbody && tbody.contains(document.activeElement)) || hasUnsavedChanges();
+  const resultMap = indexResultsByDriverAndRace(results);
+
+  // Standings order changed: redraw the table, unless an admin is typing in it
+  if (orderBefore !== orderAfter && !editing) {
+    renderGrid(drivers, races, resultMap);
+    return;
+  }
+
+  for (const driver of drivers) {
+    const tr = tbody.querySelector(`tr[data-driver-id="${driver.id}"]`);
+    if (!tr) continue;
+
+    renderDriverCell(tr.cells[0], driver);
+
+    if (!changedDriverIds.has(driver.id)) continue;
+
+    for (const race of races) {
+      const td = tr.querySelector(`td[data-race-id="${race.id}"]`);
+      if (!td) continue;
+
+      // Never overwrite inputs the admin is editing or has not saved yet
+      if (td.contains(document.activeElement) || td.classList.contains('dirty')) {
+        td.classList.add('remote-changed');
+        td.title = 'Changed by someone else since you started editing';
+        continue;
+      }
+
+      renderResultCell(td, driver, race, resultMap[`${driver.id}_${race.id}`]);
+    }
+  }
+}
+
+function queueLiveReload() {
+  clearTimeout(liveReloadTimer);
+
+  liveReloadTimer = setTimeout(async () => {
+    // A full reload would throw away unsaved grid edits; saving reloads anyway
+    if (hasUnsavedChanges()) return;
+
+    drivers = await fetchDrivers();
+    await updateStandings();
+  }, LIVE_RENDER_DELAY);
+}
+
+// --- Audit log and undo ---
+// Every admin change is written to audit_log with the row before and after;
+// the database adds the user and the time and refuses updates and deletes.
+// kind is 'insert', 'update' or 'delete' of one row of table_name
+// ('reorder' for the race order). Undo applies the inverse change and logs
+// it too (undoes_id), so an undo can itself be undone.
+// Derived writes (carry-over, penalty sync) are not logged; they are
+// rebuilt after every undo.
+
+const AUDIT_PAGE_SIZE = 100;
+
+let historyEntries = []; // entries shown in the history panel
+
+const RESULT_AUDIT_FIELDS = [...RESULT_EDIT_FIELDS.map(f => f.key), 'cp_after'];
+
+function pickResultFields(row) {
+  const values = {};
+  for (const key of RESULT_AUDIT_FIELDS) {
+    values[key] = row[key] ?? null;
+  }
+  return values;
+}
+
+async function recordAudit({
+  championshipId = currentChampionshipId,
+  kind,
+  table,
+  rowId = null,
+  before = null,
+  after = null,
+  raceId = null,
+  driverId = null,
+  summary,
+  undoable = true,
+  undoes = null
+}) {
+  // user_id, user_email and created_at are filled in by the database
+  const { error } = await repository.audit_log.insert({
+    championship_id: championshipId,
+    kind: kind,
+    table_name: table,
+    row_id: rowId,
+    race_id: raceId,
+    driver_id: driverId,
+    summary: summary,
+    before_data: before,
+    after_data: after,
+    undoable: undoable,
+    undoes_id: undoes
+  });
+
+  // The change itself is saved; a missing log entry should not block the admin
+  if (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+}
+
+// Bulk changes (re-score, recalculation, import) are logged by comparing the
+// tables before and after: before_data and after_data map each table to the
+// rows that changed, with their id and changed columns. A new row only shows
+// up in after_data, a removed one only in before_data.
+const SNAPSHOT_FETCHERS = {
+  drivers: () => fetchDrivers(),
+  races: () => fetchRaces(),
+  results: () => fetchAllResults(),
+  penalties: () => fetchPenalties()
+};
+
+// Copies, since some steps update the fetched rows in place
+async function snapshotTables(tables) {
+  const snapshot = {};
+  for (const table of tables) {
+    snapshot[table] = structuredClone(await SNAPSHOT_FETCHERS[table]());
+  }
+  return snapshot;
+}
+
+// Joined rows (results.races) are not columns of the row itself, and the
+// version is bumped by the database on every write
+function rowColumns(row) {
+  return Object.keys(row).filter(key => {
+    if (key === 'version') return false;
+
+    const value = row[key];
+    return !(value && typeof value === 'object' && !Array.isArray(value));
+  });
+}
+
+function pickColumns(row, keys) {
+  const picked = { id: row.id };
+  for (const key of keys) {
+    picked[key] = row[key] ?? null;
+  }
+  return picked;
+}
+
+function diffSnapshots(oldSnapshot, newSnapshot) {
+  const before = {};
+  const after = {};
+
+  for (const table of Object.keys(newSnapshot)) {
+    const oldById = new Map(oldSnapshot[table].map(r => [r.id, r]));
+    const newIds = new Set(newSnapshot[table].map(r => r.id));
+    const oldRows = [];
+    const newRows = [];
+
+    for (const row of newSnapshot[table]) {
+      const old = oldById.get(row.id);
+
+      if (!old) {
+        newRows.push(pickColumns(row, rowColumns(row)));
+        continue;
+      }
+
+      const changed = rowColumns(row)
+        .filter(key => JSON.stringify(row[key] ?? null) !== JSON.stringify(old[key] ?? null));
+      if (changed.length === 0) continue;
+
+      oldRows.push(pickColumns(old, changed));
+      newRows.push(pickColumns(row, changed));
+    }
+
+    for (const old of oldSnapshot[table]) {
+      if (!newIds.has(old.id)) oldRows.push(pickColumns(old, rowColumns(old)));
+    }
+
+    if (oldRows.length > 0) before[table] = oldRows;
+    if (newRows.length > 0) after[table] = newRows;
+  }
+
+  return { before, after };
+}
+
+function driverLabel(driverId) {
+  const driver = drivers.find(d => d.id === driverId);
+  return driver ? driver.name : 'a removed driver';
+}
+
+async function fetchAuditLog({ raceId = null, driverId = null } = {}) {
+  const { data, error } = await repository.audit_log.list(currentChampionshipId, {
+    raceId: raceId,
+    driverId: driverId,
+    limit: AUDIT_PAGE_SIZE
+  });
+
+  if (error) {
+    console.error('Error fetching change history:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+// A race with everything that hangs off it, enough to put it back
+async function snapshotRace(raceId) {
+  const { data: race, error } = await repository.races.get(raceId);
+
+  if (error || !race) {
+    const message = error ? error.message : 'it no longer exists';
+    console.error('Error reading race:', message);
+    alert('Could not read race: ' + message);
+    return null;
+  }
+
+  const { data: results, error: resultsError } = await repository.results.where({ race_id: raceId });
+  const { data: racePenalties, error: penaltiesError } = await repository.penalties.where({ race_id: raceId });
+
+  if (resultsError || penaltiesError) {
+    const message = (resultsError || penaltiesError).message;
+    console.error('Error reading race results:', message);
+    alert('Could not read race results: ' + message);
+    return null;
+  }
+
+  return { race, results: results || [], penalties: racePenalties || [] };
+}
+
+// Puts a deleted race back at its old round, later rounds move back one
+async function restoreRace(snapshot) {
+  const totals = captureStartingTotals(await fetchAllResults());
+  const races = await fetchRaces();
+  const round = Math.min(snapshot.race.round_number, races.length + 1);
+
+  const ok = await renumberRaces(races.map(r => ({
+    id: r.id,
+    round_number: r.round_number >= round ? r.round_number + 1 : r.round_number
+  })));
+  if (!ok) return false;
+
+  const { error } = await repository.races.insert({ ...snapshot.race, round_number: round });
+
+  if (error) {
+    console.error('Error restoring race:', error.message);
+    alert('Could not restore race: ' + error.message);
+    return false;
+  }
+
+  for (const [table, rows] of [['results', snapshot.results], ['penalties', snapshot.penalties]]) {
+    if (rows.length === 0) continue;
+
+    const { error: rowsError } = await repository[table].insert(rows);
+
+    if (rowsError) {
+      console.error(`Error restoring ${table}:`, rowsError.message);
+      alert(`Could not restore the race's ${table}: ` + rowsError.message);
+      return false;
+    }
+  }
+
+  return rebuildChainFromStart(totals);
+}
+
+async function fetchRow(table, rowId) {
+  const { data, error } = await repository[table].get(rowId);
+
+  if (error) {
+    console.error(`Error reading ${table}:`, error.message);
+    alert(`Could not read ${table}: ` + error.message);
+    return undefined;
+  }
+
+  return data;
+}
+
+// Deleting a driver would take their results with it (the drivers panel
+// only offers it for drivers without any), so a driver with results is
+// withdrawn instead. Returns the inverse, null if nothing was changed, or
+// undefined when the driver has no results and can be deleted.
+async function withdrawInsteadOfDelete(driver) {
+  const { data: driverResults, error: resultsError } = await repository.results.where({ driver_id: driver.id });
+
+  if (resultsError) {
+    console.error('Error reading results:', resultsError.message);
+    alert('Undo failed: ' + resultsError.message);
+    return null;
+  }
+
+  if (driverResults.length === 0) return undefined;
+
+  if (!confirm(`${driver.name} already has results, which deleting would remove. Withdraw the driver instead?`)) {
+    return null;
+  }
+
+  const after = { status: 'withdrawn', active: false };
+  const { error } = await repository.drivers.update(driver.id, after);
+
+  if (error) {
+    console.error('Error undoing change:', error.message);
+    alert('Undo failed: ' + error.message);
+    return null;
+  }
+
+  return { kind: 'update', before: { status: driver.status ?? null, active: driver.active ?? null }, after };
+}
+
+// Applies the inverse of one entry; returns the inverse entry's kind and
+// data, or null if nothing was changed
+async function applyInverse(entry) {
+  const table = entry.table_name;
+
+  if (entry.kind === 'reorder') {
+    // Races added since go last, deleted ones are skipped
+    const existing = (await fetchRaces()).map(r => r.id);
+    const order = entry.before_data.order.filter(id => existing.includes(id));
+    order.push(...existing.filter(id => !order.includes(id)));
+
+    if (!(await applyRaceOrder(order))) return null;
+    return { kind: 'reorder', before: entry.after_data, after: { order } };
+  }
+
+  if (entry.kind === 'insert') {
+    if (table === 'races') {
+      const snapshot = await snapshotRace(entry.row_id);
+      if (!snapshot || !(await deleteRaceAndCloseGap(entry.row_id))) return null;
+      return { kind: 'delete', before: snapshot };
+    }
+
+    const current = await fetchRow(table, entry.row_id);
+    if (current === undefined) return null;
+    if (current === null) {
+      alert('This row has already been removed.');
+      return null;
+    }
+
+    if (table === 'drivers') {
+      const inverse = await withdrawInsteadOfDelete(current);
+      if (inverse !== undefined) return inverse;
+    }
+
+    const { error } = await repository[table].remove(entry.row_id);
+
+    if (error) {
+      console.error('Error undoing change:', error.message);
+      alert('Undo failed: ' + error.message);
+      return null;
+    }
+
+    return { kind: 'delete', before: current };
+  }
+
+  if (entry.kind === 'delete') {
+    if (table === 'races') {
+      if (!(await restoreRace(entry.before_data))) return null;
+      return { kind: 'insert', after: entry.before_data.race };
+    }
+
+    const { error } = await repository[table].insert(entry.before_data);
+
+    if (error) {
+      console.error('Error undoing change:', error.message);
+      alert('Undo failed: ' + error.message);
+      return null;
+    }
+
+    return { kind: 'insert', after: entry.before_data };
+  }
+
+  // update: warn when the row has changed again since
+  const current = await fetchRow(table, entry.row_id);
+  if (current === undefined) return null;
+  if (current === null) {
+    alert('This row no longer exists.');
+    return null;
+  }
+
+  // Driver edits carry the car and team history next to the row itself
+  const { history: historyBefore, ...rowBefore } = entry.before_data;
+  const { history: historyAfter, ...rowAfter } = entry.after_data || {};
+
+  let drifted = Object.keys(rowAfter)
+    .some(key => JSON.stringify(current[key] ?? null) !== JSON.stringify(rowAfter[key] ?? null));
+
+  for (const field of Object.keys(historyAfter || {})) {
+    const currentHistory = await fetchDriverHistory(entry.row_id, field);
+    drifted = drifted || JSON.stringify(currentHistory) !== JSON.stringify(historyAfter[field]);
+  }
+
+  if (drifted && !confirm('This has been changed again since. Undo anyway and overwrite the newer values?')) {
+    return null;
+  }
+
+  const { error } = await repository[table].update(entry.row_id, rowBefore);
+
+  if (error) {
+    console.error('Error undoing change:', error.message);
+    alert('Undo failed: ' + error.message);
+    return null;
+  }
+
+  for (const field of Object.keys(historyBefore || {})) {
+    if (!(await replaceDriverHistory(entry.row_id, field, historyBefore[field]))) return null;
+  }
+
+  return { kind: 'update', before: entry.after_data, after: entry.before_data };
+}
+
+async function undoAuditEntry(entry) {
+  const inverse = await applyInverse(entry);
+  if (!inverse) return false;
+
+  // The log is insert-only: the undo entry marks the original as undone
+  await recordAudit({
+    ...inverse,
+    table: entry.table_name,
+    rowId: entry.row_id,
+    raceId: entry.race_id,
+    driverId: entry.driver_id,
+    summary: `Undo: ${entry.summary}`,
+    undoes: entry.id
+  });
+
+  // Derived values follow whatever was put back
+  await syncPenaltyResults();
+  return true;
+}
+
+function renderHistoryFilters() {
+  const raceSelect = document.getElementById('history-race-filter');
+  const driverSelect = document.getElementById('history-driver-filter');
+  if (!raceSelect || !driverSelect) return;
+
+  const selectedRace = raceSelect.value;
+  const selectedDriver = driverSelect.value;
+
+  const raceOptions = [html`<option value="">All races</option>`];
+  for (const r of gridRaces) {
+    const label = r.name ? r.name : `Race ${r.round_number}`;
+    const selected = String(r.id) === selectedRace ? ' selected' : '';
+    raceOptions.push(html`<option value="${r.id}"${selected}>${r.round_number}. ${label}</option>`);
+  }
+
+  const driverOptions = [html`<option value="">All drivers</option>`];
+  for (const d of drivers) {
+    const selected = String(d.id) === selectedDriver ? ' selected' : '';
+    driverOptions.push(html`<option value="${d.id}"${selected}>${formatDriverName(d)}</option>`);
+  }
+
+  raceSelect.innerHTML = html`${raceOptions}`;
+  driverSelect.innerHTML = html`${driverOptions}`;
+}
+
+async function renderHistoryAdmin() {
+  const container = document.getElementById('history-list');
+  if (!container) return;
+
+  renderHistoryFilters();
+
+  if (!isAdmin) {
+    container.innerHTML = '<em>Login as admin to see the change history.</em>';
+    return;
+  }
+
+  historyEntries = await fetchAuditLog({
+    raceId: document.getElementById('history-race-filter').value || null,
+    driverId: document.getElementById('history-driver-filter').value || null
+  });
+
+  if (historyEntries.length === 0) {
+    container.innerHTML = '<em>No changes recorded.</em>';
+    return;
+  }
+
+  // An undo is newer than its entry, so it is on the same page
+  const undoneIds = new Set(historyEntries.map(e => e.undoes_id).filter(Boolean).map(String));
+  const items = [];
+
+  for (const entry of historyEntries) {
+    const when = new Date(entry.created_at).toLocaleString();
+    const who = entry.user_email || 'unknown user';
+
+    let action = '';
+    if (entry.undone_at || undoneIds.has(String(entry.id))) {
+      action = html`<em>(undone)</em>`;
+    } else if (entry.undoable) {
+      action = html`<button class="history-undo-btn" data-entry-id="${entry.id}">Undo</button>`;
+    }
+
+    items.push(html`
+      <li style="margin: 4px 0;">
+        <small>${when} – ${who}</small><br>
+        ${entry.summary} ${action}
+      </li>
+    `);
+  }
+
+  container.innerHTML = html`<ul style='list-style:none; padding-left:0;'>${items}</ul>`;
+}
+
+// --- Auth ---
+// The UI follows supabaseClient.auth.onAuthStateChange: the stored session
+// is restored on load (INITIAL_SESSION), sign-in and sign-out redraw the edit
+// controls, and a reset-password link opens the new-password form
+// (PASSWORD_RECOVERY). If the token runs out without being refreshed (e.g.
+// offline), edit rights are dropped until the admin signs in again.
+
+// Grace period before treating a session past expires_at as gone
+const SESSION_EXPIRY_GRACE = 5000;
+
+let sessionExpiryTimer = null;
+// Set when checkSessionExpiry dropped the rights; a late refresh brings them back
+let sessionExpired = false;
+
+function setLoginStatus(text) {
+  const status = document.getElementById('login-status');
+  if (status) status.textContent = text;
+}
+
+function showLoginForm(visible) {
+  document.getElementById('login-form').style.display = visible ? '' : 'none';
+  document.getElementById('admin-link').style.display = visible ? 'none' : '';
+}
+
+function renderAuthState(session) {
+  const signedIn = !!session?.user;
+
+  document.getElementById('account-bar').style.display = signedIn ? '' : 'none';
+  document.getElementById('account-email').textContent = signedIn ? session.user.email : '';
+
+  if (signedIn) {
+    document.getElementById('login-form').style.display = 'none';
+    document.getElementById('admin-link').style.display = 'none';
+  } else if (document.getElementById('login-form').style.display === 'none') {
+    document.getElementById('admin-link').style.display = '';
+  }
+}
+
+function scheduleSessionExpiryCheck(session) {
+  clearTimeout(sessionExpiryTimer);
+  sessionExpiryTimer = null;
+
+  if (!session?.expires_at) return;
+
+  const delay = Math.max(0, session.expires_at * 1000 - Date.now()) + SESSION_EXPIRY_GRACE;
+  sessionExpiryTimer = setTimeout(checkSessionExpiry, delay);
+}
+
+// A successful refresh reschedules this check, so getting here means the
+// token was not renewed in time
+async function checkSessionExpiry() {
+  const { data: { session } } = await supabaseClient.auth.getSession();
+
+  if (session && session.expires_at * 1000 > Date.now()) {
+    scheduleSessionExpiryCheck(session);
+    return;
+  }
+
+  isAdmin = false;
+  currentUser = null;
+  currentRole = null;
+  isGlobalAdmin = false;
+  userRoles = {};
+  sessionExpired = true;
+
+  renderAuthState(null);
+  setLoginStatus('Your session has expired. Please log in again.');
+  await updateStandings(); // redraw without edit controls
+}
+
+async function handleAuthChange(event, session) {
+  scheduleSessionExpiryCheck(session);
+  renderAuthState(session);
+
+  if (event === 'PASSWORD_RECOVERY') {
+    document.getElementById('password-update-form').style.display = '';
+  }
+
+  // Token refreshes and repeated sign-in events for the same user change
+  // nothing on screen, unless the rights were dropped when the session expired
+  const userId = session?.user?.id ?? null;
+  const restoring = sessionExpired && userId !== null;
+  if (!restoring && (event === 'TOKEN_REFRESHED' || userId === (currentUser?.id ?? null))) return;
+  sessionExpired = false;
+
+  setLoginStatus(userId ? '' : 'Logged out.');
+
+  await refreshAdminStatus();
+  await updateStandings(); // redraw with or without edit controls
+}
+
+async function login() {
+  const email = document.getElementById('login-email').value;
+  const password = document.getElementById('login-password').value;
+
+  const { error } = await supabaseClient.auth.signInWithPassword({
+    email,
+    password,
+  });
+
+  if (error) {
+    setLoginStatus('Login failed: ' + error.message);
+  }
+}
+
+// Only existing accounts get a link; invited users set up their account
+// through the normal sign-up first
+async function sendMagicLink() {
+  const email = document.getElementById('login-email').value.trim();
+  if (!email) {
+    setLoginStatus('Enter your email first.');
+    return;
+  }
+
+  const { error } = await supabaseClient.auth.signInWithOtp({
+    email,
+    options: {
+      shouldCreateUser: false,
+      emailRedirectTo: window.location.href.split('#')[0]
+    }
+  });
+
+  setLoginStatus(error
+    ? 'Could not send sign-in link: ' + error.message
+    : `Sign-in link sent to ${email}. Check your inbox.`);
+}
+
+async function sendPasswordReset() {
+  const email = document.getElementById('login-email').value.trim();
+  if (!email) {
+    setLoginStatus('Enter your email first.');
+    return;
+  }
+
+  const { error } = await supabaseClient.auth.resetPasswordForEmail(email, {
+    redirectTo: window.location.href.split('#')[0]
+  });
+
+  setLoginStatus(error
+    ? 'Could not send reset email: ' + error.message
+    : `Password reset email sent to ${email}.`);
+}
+
+async function updatePassword() {
+  const password = document.getElementById('new-password').value;
+  if (password.length < 8) {
+    alert('Use at least 8 characters.');
+    return;
+  }
+
+  const { error } = await supabaseClient.auth.updateUser({ password });
+
+  if (error) {
+    console.error('Error updating password:', error.message);
+    alert('Could not update password: ' + error.message);
+    return;
+  }
+
+  document.getElementById('new-password').value = '';
+  document.getElementById('password-update-form').style.display = 'none';
+  setLoginStatus('Password updated.');
+}
+
+async function logout() {
   await supabaseClient.auth.signOut();
-  isAdmin = false;
+}
+
+// Attach event listeners after DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+  if (!repository) {
+    const message = document.getElementById('connection-error');
+    message.textContent = 'Could not load the championship database. Check your connection and reload, ' +
+      'or add ?demo to the address to try the local demo.';
+    message.style.display = '';
+    return;
+  }
+
+  const updateBtn = document.getElementById('update-standings-button');
+  if (updateBtn) {
+    updateBtn.addEventListener('click', updateStandings);
+  }
+
+  const loginBtn = document.getElementById('login-button');
+  if (loginBtn) {
+    loginBtn.addEventListener('click', login);
+  }
+
+  const logoutBtn = document.getElementById('logout-button');
+  if (logoutBtn) {
+    logoutBtn.addEventListener('click', logout);
+  }
+
+  const adminLink = document.getElementById('admin-link');
+  if (adminLink) {
+    adminLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      showLoginForm(true);
+      document.getElementById('login-email').focus();
+    });
+  }
+
+  const cancelLoginBtn = document.getElementById('cancel-login-button');
+  if (cancelLoginBtn) {
+    cancelLoginBtn.addEventListener('click', () => showLoginForm(false));
+  }
+
+  const magicLinkBtn = document.getElementById('magic-link-button');
+  if (magicLinkBtn) {
+    magicLinkBtn.addEventListener('click', sendMagicLink);
+  }
+
+  const resetPasswordBtn = document.getElementById('reset-password-button');
+  if (resetPasswordBtn) {
+    resetPasswordBtn.addEventListener('click', sendPasswordReset);
+  }
+
+  const updatePasswordBtn = document.getElementById('update-password-button');
+  if (updatePasswordBtn) {
+    updatePasswordBtn.addEventListener('click', updatePassword);
+  }
+
+  // Add-driver button
+  const addBtn = document.getElementById("add-driver-button");
+  if (addBtn) {
+    addBtn.addEventListener("click", async () => {
+      if (!isAdmin) {
+        alert("Only admins can add drivers.");
+        return;
+      }
+  
+      const name = document.getElementById("new-driver-name").value.trim();
+      const car = document.getElementById("new-driver-car").value.trim();
+  
+      if (!name || !car) {
+        alert("Driver name and car are required.");
+        return;
+      }
+  
+      const fromRoundValue = document.getElementById("new-driver-from-round").value;
+      const fromRound = fromRoundValue ? parseInt(fromRoundValue, 10) : Infinity;
+
+      await createDriver(name, car, fromRound);
+  
+      // Reload drivers + grid
+      drivers = await fetchDrivers();
+      await updateStandings();
+      renderDriversAdmin(drivers);
+  
+      document.getElementById("new-driver-name").value = "";
+      document.getElementById("new-driver-car").value = "";
+    });
+  }
+  
+  // Driver withdraw / retire / reactivate / delete buttons (event delegation)
+  const driversAdminDiv = document.getElementById("drivers-admin-list");
+  if (driversAdminDiv) {
+    driversAdminDiv.addEventListener("click", async (e) => {
+      const editBtn = e.target.closest(".driver-edit-btn");
+      if (editBtn) {
+        editingDriverId = editBtn.dataset.driverId;
+        renderDriversAdmin(drivers);
+        return;
+      }
+
+      if (e.target.closest(".driver-cancel-btn")) {
+        editingDriverId = null;
+        renderDriversAdmin(drivers);
+        return;
+      }
+
+      const saveBtn = e.target.closest(".driver-save-btn");
+      if (saveBtn) {
+        if (!isAdmin) {
+          alert("Only admins can edit drivers.");
+          return;
+        }
+
+        const li = saveBtn.closest("li");
+        const name = li.querySelector(".driver-edit-name").value.trim();
+        const car = li.querySelector(".driver-edit-car").value.trim();
+        const numberText = li.querySelector(".driver-edit-number").value;
+        const fromText = li.querySelector(".driver-edit-car-from").value;
+        const teamId = li.querySelector(".driver-edit-team").value;
+
+        if (!name || !car) {
+          alert("Driver name and car are required.");
+          return;
+        }
+
+        const driver = drivers.find(d => String(d.id) === saveBtn.dataset.driverId);
+        if (!fromText && driver && car !== driver.car && carChanges[driver.id] &&
+            !confirm(`A correction replaces ${driver.name}'s car history: every round will show ${car}. Continue?`)) {
+          return;
+        }
+        if (!fromText && driver && driver.team_id && String(teamId) !== String(driver.team_id) &&
+            !confirm(`A correction moves all of ${driver.name}'s points so far to the new team. Continue?`)) {
+          return;
+        }
+
+        const ok = await updateDriver(saveBtn.dataset.driverId, {
+          name,
+          car,
+          number: numberText === "" ? null : parseInt(numberText, 10),
+          fromRound: fromText ? parseInt(fromText, 10) : null,
+          teamId: teamId || null
+        });
+
+        if (ok) {
+          editingDriverId = null;
+          drivers = await fetchDrivers();
+          await updateStandings();
+        }
+        return;
+      }
+
+      const statusBtn = e.target.closest(".driver-status-btn");
+      if (statusBtn) {
+        if (!isAdmin) {
+          alert("Only admins can change drivers.");
+          return;
+        }
+
+        const driverId = statusBtn.dataset.driverId;
+        const status = statusBtn.dataset.status;
+
+        if (status === "active") {
+          await reactivateDriver(driverId);
+        } else if (confirm(`Mark this driver as ${status}? Their results stay in the standings.`)) {
+          await setDriverStatus(driverId, status);
+        } else {
+          return;
+        }
+
+        drivers = await fetchDrivers();
+        await updateStandings();
+        return;
+      }
+
+      const btn = e.target.closest(".driver-delete-btn");
+      if (!btn) return;
+  
+      if (!isAdmin) {
+        alert("Only admins can delete drivers.");
+        return;
+      }
+  
+      const driverId = btn.dataset.driverId;
+  
+      if (confirm("Are you sure you want to delete this driver?")) {
+        await deleteDriver(driverId);
+  
+        drivers = await fetchDrivers();
+        await updateStandings();
+        renderDriversAdmin(drivers);
+      }
+    });
+  }
+
+  // Add-race button
+const addRaceBtn = document.getElementById('add-race-button');
+if (addRaceBtn) {
+  addRaceBtn.addEventListener('click', async () => {
+    if (!isAdmin) {
+      alert('Only admins can add races.');
+      return;
+    }
+
+    const nameInput = document.getElementById('new-race-name');
+    const dateInput = document.getElementById('new-race-date');
+    const positionSelect = document.getElementById('new-race-position');
+
+    const name = nameInput.value.trim();
+    const date = dateInput.value;
+    const position = positionSelect.value ? parseInt(positionSelect.value, 10) : null;
+
+    await createRace(name, date, position);
+
+    // grid + admin sections
+    await updateStandings();
+
+    nameInput.value = '';
+    dateInput.value = '';
+  });
+}
+
+// Race delete buttons (event delegation)
+const racesAdminDiv = document.getElementById('races-admin-list');
+if (racesAdminDiv) {
+  racesAdminDiv.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.race-delete-btn');
+    if (!btn) return;
+
+    if (!isAdmin) {
+      alert('Only admins can delete races.');
+      return;
+    }
+
+    const raceId = btn.dataset.raceId;
+
+    if (confirm('Are you sure you want to remove this race (and its results)? Later rounds will be renumbered.')) {
+      await removeRace(raceId);
+
+      await updateStandings();
+    }
+  });
+
+  // Drag and drop to reorder races
+  let draggedRaceId = null;
+
+  racesAdminDiv.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.race-admin-item');
+    if (!item) return;
+
+    draggedRaceId = item.dataset.raceId;
+    e.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+  });
+
+  racesAdminDiv.addEventListener('dragend', (e) => {
+    const item = e.target.closest('.race-admin-item');
+    if (item) item.classList.remove('dragging');
+    draggedRaceId = null;
+  });
+
+  racesAdminDiv.addEventListener('dragover', (e) => {
+    if (draggedRaceId && e.target.closest('.race-admin-item')) {
+      e.preventDefault();
+    }
+  });
+
+  racesAdminDiv.addEventListener('drop', async (e) => {
+    const target = e.target.closest('.race-admin-item');
+    if (!target || !draggedRaceId) return;
+    e.preventDefault();
+
+    if (!isAdmin) {
+      alert('Only admins can reorder races.');
+      return;
+    }
+
+    const ids = [...racesAdminDiv.querySelectorAll('.race-admin-item')].map(li => li.dataset.raceId);
+    const from = ids.indexOf(draggedRaceId);
+    let to = ids.indexOf(target.dataset.raceId);
+    if (from === to) return;
+
+    // Dropping on the lower half of an item places the race after it
+    const box = target.getBoundingClientRect();
+    if (e.clientY > box.top + box.height / 2) to++;
+    if (from < to) to--;
+
+    ids.splice(from, 1);
+    ids.splice(to, 0, draggedRaceId);
+
+    await reorderRaces(ids);
+    await updateStandings();
+  });
+}
+
+  // Points system editor (event delegation, the form is re-rendered)
+  const scoringDiv = document.getElementById('scoring-admin');
+  if (scoringDiv) {
+    scoringDiv.addEventListener('change', (e) => {
+      if (e.target.id !== 'scoring-preset' || !e.target.value) return;
+
+      const preset = SCORING_PRESETS[e.target.value];
+      document.getElementById('scoring-points').value = preset.points.join(', ');
+      document.getElementById('scoring-fastest-lap').value = preset.fastest_lap;
+      document.getElementById('scoring-pole').value = preset.pole;
+    });
+
+    scoringDiv.addEventListener('click', async (e) => {
+      if (e.target.id !== 'save-scoring-button') return;
+
+      if (!isAdmin) {
+        alert('Only admins can edit the points system.');
+        return;
+      }
+
+      const points = parsePointsList(document.getElementById('scoring-points').value);
+      if (points.length === 0 || points.some(p => isNaN(p) || p < 0)) {
+        alert('Points must be a list of non-negative whole numbers.');
+        return;
+      }
+
+      const scoring = {
+        points: points,
+        fastest_lap: parseInt(document.getElementById('scoring-fastest-lap').value || '0', 10),
+        pole: parseInt(document.getElementById('scoring-pole').value || '0', 10)
+      };
+
+      if (!(await saveScoringSystem(scoring))) return;
+
+      if (confirm('Points system saved. Re-score every result in this championship now?')) {
+        await rescoreSeason();
+      } else {
+        renderScoringAdmin();
+      }
+    });
+  }
+
+  // Tie-breaker editor (event delegation, the list is re-rendered)
+  const tieBreakersDiv = document.getElementById('tie-breakers-admin');
+  if (tieBreakersDiv) {
+    tieBreakersDiv.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.tie-breaker-btn');
+      if (!btn) return;
+
+      if (!isAdmin) {
+        alert('Only admins can edit tie-breakers.');
+        return;
+      }
+
+      const rules = applyRuleListAction(getTieBreakers(), btn, tieBreakersDiv);
+
+      if (await saveTieBreakers(rules)) {
+        await updateStandings();
+      }
+    });
+  }
+
+  // Counting rule editor
+  const countingRuleDiv = document.getElementById('counting-rule-admin');
+  if (countingRuleDiv) {
+    countingRuleDiv.addEventListener('click', async (e) => {
+      if (e.target.id !== 'save-counting-rule-button') return;
+
+      if (!isAdmin) {
+        alert('Only admins can edit the counting rule.');
+        return;
+      }
+
+      const mode = document.getElementById('counting-mode').value;
+      const count = parseInt(document.getElementById('counting-count').value || '0', 10);
+
+      if (mode !== 'all' && (isNaN(count) || count < 0)) {
+        alert('Number of rounds must be zero or more.');
+        return;
+      }
+
+      if (await saveCountingRule({ mode, count: mode === 'all' ? 0 : count })) {
+        await updateStandings();
+      }
+    });
+  }
+
+  // Teams: add / rename / delete
+  const addTeamBtn = document.getElementById('add-team-button');
+  if (addTeamBtn) {
+    addTeamBtn.addEventListener('click', async () => {
+      if (!isAdmin) {
+        alert('Only admins can add teams.');
+        return;
+      }
+
+      const nameInput = document.getElementById('new-team-name');
+      const name = nameInput.value.trim();
+      if (!name) {
+        alert('Team name is required.');
+        return;
+      }
+
+      if (await createTeam(name)) {
+        nameInput.value = '';
+        await updateStandings();
+      }
+    });
+  }
+
+  const teamsAdminDiv = document.getElementById('teams-admin-list');
+  if (teamsAdminDiv) {
+    teamsAdminDiv.addEventListener('click', async (e) => {
+      const renameBtn = e.target.closest('.team-rename-btn');
+      const deleteBtn = e.target.closest('.team-delete-btn');
+      if (!renameBtn && !deleteBtn) return;
+
+      if (!isAdmin) {
+        alert('Only admins can edit teams.');
+        return;
+      }
 
-  document.getElementById('login-status').textContent = 'Logged out.';
-  document.getElementById('login-button').style.display = 'inline-block';
-  document.getElementById('logout-button').style.display = 'none';
+      if (renameBtn) {
+        const id = renameBtn.dataset.teamId;
+        const name = prompt('New team name:', teamName(id));
+        if (!name || !name.trim()) return;
 
-  await updateStandings(); // redraw without edit controls
-}
+        await renameTeam(id, name.trim());
+      } else {
+        if (!confirm('Delete this team? Its drivers keep their results but lose the team.')) return;
 
-// Attach event listeners after DOM is ready
-document.addEventListener('DOMContentLoaded', async () => {
-  const updateBtn = document.getElementById('update-standings-button');
-  if (updateBtn) {
-    updateBtn.addEventListener('click', updateStandings);
-  }
+        await deleteTeam(deleteBtn.dataset.teamId);
+        drivers = await fetchDrivers();
+      }
 
-  const loginBtn = document.getElementById('login-button');
-  if (loginBtn) {
-    loginBtn.addEventListener('click', login);
+      await updateStandings();
+    });
   }
 
-  const logoutBtn = document.getElementById('logout-button');
-  if (logoutBtn) {
-    logoutBtn.addEventListener('click', logout);
-  }
+  // Constructors' points: drivers scoring per race and tie-breakers
+  const constructorsSettingsDiv = document.getElementById('constructors-settings-admin');
+  if (constructorsSettingsDiv) {
+    constructorsSettingsDiv.addEventListener('click', async (e) => {
+      if (e.target.id !== 'save-constructors-settings-button') return;
 
-  // Add-driver button
-  const addBtn = document.getElementById("add-driver-button");
-  if (addBtn) {
-    addBtn.addEventListener("click", async () => {
       if (!isAdmin) {
-        alert("Only admins can add drivers.");
+        alert('Only admins can edit constructors settings.');
         return;
       }
-  
-      const name = document.getElementById("new-driver-name").value.trim();
-      const car = document.getElementById("new-driver-car").value.trim();
-  
-      if (!name || !car) {
-        alert("Driver name and car are required.");
+
+      const count = parseInt(document.getElementById('constructors-drivers-per-race').value || '0', 10);
+      if (isNaN(count) || count < 0) {
+        alert('Number of drivers must be zero or more.');
         return;
       }
-  
-      await createDriver(name, car);
-  
-      // Reload drivers + grid
-      drivers = await fetchDrivers();
-      await updateStandings();
-      renderDriversAdmin(drivers);
-  
-      document.getElementById("new-driver-name").value = "";
-      document.getElementById("new-driver-car").value = "";
+
+      const settings = { ...getConstructorSettings(), drivers_per_race: count };
+      if (await saveConstructorSettings(settings)) {
+        await updateStandings();
+      }
     });
   }
-  
-  // Driver delete buttons (event delegation)
-  const driversAdminDiv = document.getElementById("drivers-admin-list");
-  if (driversAdminDiv) {
-    driversAdminDiv.addEventListener("click", async (e) => {
-      const btn = e.target.closest(".driver-delete-btn");
+
+  const constructorTieBreakersDiv = document.getElementById('constructor-tie-breakers-admin');
+  if (constructorTieBreakersDiv) {
+    constructorTieBreakersDiv.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.constructor-tie-breaker-btn');
       if (!btn) return;
-  
+
       if (!isAdmin) {
-        alert("Only admins can delete drivers.");
+        alert('Only admins can edit tie-breakers.');
         return;
       }
-  
-      const driverId = btn.dataset.driverId;
-  
-      if (confirm("Are you sure you want to remove this driver?")) {
-        await deleteDriver(driverId);
-  
-        drivers = await fetchDrivers();
+
+      const settings = getConstructorSettings();
+      const rules = applyRuleListAction(settings.tie_breakers, btn, constructorTieBreakersDiv);
+
+      if (await saveConstructorSettings({ ...settings, tie_breakers: rules })) {
         await updateStandings();
-        renderDriversAdmin(drivers);
       }
     });
   }
 
-  // Add-race button
-const addRaceBtn = document.getElementById('add-race-button');
-if (addRaceBtn) {
-  addRaceBtn.addEventListener('click', async () => {
-    if (!isAdmin) {
-      alert('Only admins can add races.');
-      return;
+  // Change history: filters and one-click undo
+  for (const id of ['history-race-filter', 'history-driver-filter']) {
+    const filter = document.getElementById(id);
+    if (filter) {
+      filter.addEventListener('change', () => renderHistoryAdmin());
     }
+  }
 
-    const nameInput = document.getElementById('new-race-name');
-    const dateInput = document.getElementById('new-race-date');
+  const historyList = document.getElementById('history-list');
+  if (historyList) {
+    historyList.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.history-undo-btn');
+      if (!btn) return;
 
-    const name = nameInput.value.trim();
-    const date = dateInput.value;
+      if (!isAdmin) {
+        alert('Only admins can undo changes.');
+        return;
+      }
 
-    await createRace(name, date);
+      const entry = historyEntries.find(h => String(h.id) === btn.dataset.entryId);
+      if (!entry || !confirm(`Undo "${entry.summary}"?`)) return;
 
-    const races = await fetchRaces();
-    const allResults = await fetchAllResults();
-    const resultMap = indexResultsByDriverAndRace(allResults);
+      if (!(await undoAuditEntry(entry))) return;
 
-    // grid + admin sections
-    renderGrid(drivers, races, resultMap);
-    renderRacesAdmin(races);
+      if (entry.table_name === 'championships') {
+        await reloadChampionships();
+      }
+      drivers = await fetchDrivers();
 
-    nameInput.value = '';
-    dateInput.value = '';
-  });
-}
+      if ('scoring' in (entry.before_data || {}) &&
+          confirm('Points system restored. Re-score every result in this championship now?')) {
+        await rescoreSeason();
+      } else {
+        await updateStandings();
+      }
+    });
+  }
 
-// Race delete buttons (event delegation)
-const racesAdminDiv = document.getElementById('races-admin-list');
-if (racesAdminDiv) {
-  racesAdminDiv.addEventListener('click', async (e) => {
-    const btn = e.target.closest('.race-delete-btn');
-    if (!btn) return;
+  // Season import: preview first, then apply
+  const previewImportBtn = document.getElementById('preview-import-button');
+  if (previewImportBtn) {
+    previewImportBtn.addEventListener('click', async () => {
+      if (!isAdmin) {
+        alert('Only admins can import seasons.');
+        return;
+      }
 
-    if (!isAdmin) {
-      alert('Only admins can delete races.');
-      return;
-    }
+      const file = document.getElementById('import-file').files[0];
+      if (!file) {
+        alert('Choose a CSV or JSON file first.');
+        return;
+      }
 
-    const raceId = btn.dataset.raceId;
+      try {
+        const imported = normalizeImport(file.name, await file.text());
+        pendingImport = await planImport(imported);
+        renderImportPreview(pendingImport);
+      } catch (err) {
+        console.error('Error reading import file:', err.message);
+        alert('Could not read import file: ' + err.message);
+      }
+    });
+  }
 
-    if (confirm('Are you sure you want to remove this race (and its results)?')) {
-      await deleteRace(raceId);
+  const applyImportBtn = document.getElementById('apply-import-button');
+  if (applyImportBtn) {
+    applyImportBtn.addEventListener('click', async () => {
+      if (!isAdmin || !pendingImport) return;
 
-      const races = await fetchRaces();
-      const allResults = await fetchAllResults();
-      const resultMap = indexResultsByDriverAndRace(allResults);
+      if (!confirm('Write the previewed changes to this championship?')) return;
 
-      renderGrid(drivers, races, resultMap);
-      renderRacesAdmin(races);
-    }
+      if (!(await applyImport(pendingImport))) {
+        // Plan again against what did get written, so a retry only does the rest
+        pendingImport = await planImport(pendingImport.imported);
+        renderImportPreview(pendingImport);
+        await updateStandings();
+        return;
+      }
+
+      pendingImport = null;
+      applyImportBtn.style.display = 'none';
+      document.getElementById('import-preview').innerHTML = '<em>Import complete.</em>';
+      document.getElementById('import-file').value = '';
+    });
+  }
+
+  // "As of round" selector
+  const asOfRoundSelect = document.getElementById('as-of-round-select');
+  if (asOfRoundSelect) {
+    asOfRoundSelect.addEventListener('change', () => {
+      if (hasUnsavedChanges() && !confirm('You have unsaved changes. Change round and lose them?')) {
+        asOfRoundSelect.value = asOfRound === null ? '' : String(asOfRound);
+        return;
+      }
+
+      asOfRound = asOfRoundSelect.value ? parseInt(asOfRoundSelect.value, 10) : null;
+      renderStandingsView();
+      renderUnsavedStatus();
+    });
+  }
+
+  // Race notes (detail view is re-rendered, so delegate from the container)
+  const detailView = document.getElementById('detail-view');
+  if (detailView) {
+    detailView.addEventListener('click', async (e) => {
+      if (e.target.id === 'add-penalty-button') {
+        if (!canEditPenalties()) {
+          alert('Only admins and stewards can add penalties.');
+          return;
+        }
+
+        const amount = parseInt(document.getElementById('penalty-amount').value, 10);
+        const expiryText = document.getElementById('penalty-expiry').value;
+        const reason = document.getElementById('penalty-reason').value.trim();
+        const notes = document.getElementById('penalty-notes').value.trim();
+
+        if (isNaN(amount) || amount < 1) {
+          alert('Penalty amount must be 1 or more.');
+          return;
+        }
+        if (!reason) {
+          alert('A reason is required.');
+          return;
+        }
+
+        const ok = await createPenalty({
+          driver_id: document.getElementById('penalty-driver').value,
+          race_id: e.target.dataset.raceId,
+          type: document.getElementById('penalty-type').value,
+          amount: amount,
+          reason: reason,
+          steward_notes: notes || null,
+          expires_after_rounds: expiryText ? parseInt(expiryText, 10) : null
+        });
+
+        if (ok) {
+          await updateStandings();
+        }
+        return;
+      }
+
+      const penaltyDeleteBtn = e.target.closest('.penalty-delete-btn');
+      if (penaltyDeleteBtn) {
+        if (!canEditPenalties()) {
+          alert('Only admins and stewards can delete penalties.');
+          return;
+        }
+
+        if (confirm('Delete this penalty? Later rounds are recalculated.')) {
+          if (await deletePenalty(penaltyDeleteBtn.dataset.penaltyId)) {
+            await updateStandings();
+          }
+        }
+        return;
+      }
+
+      if (e.target.id !== 'save-race-notes-button') return;
+
+      if (!isAdmin) {
+        alert('Only admins can edit race notes.');
+        return;
+      }
+
+      const raceId = e.target.dataset.raceId;
+      const notes = document.getElementById('race-notes-input').value.trim();
+
+      if (await saveRaceNotes(raceId, notes || null)) {
+        await updateStandings();
+      }
+    });
+  }
+
+  window.addEventListener('hashchange', () => {
+    renderCurrentRoute();
+    window.scrollTo(0, 0);
   });
-}
 
-  // event delegation for Save buttons inside cells
+  // Chart legend: click a driver to highlight their lines, click again to clear
+  const progressLegend = document.getElementById('progress-legend');
+  if (progressLegend) {
+    progressLegend.addEventListener('click', (e) => {
+      const item = e.target.closest('.legend-item');
+      if (!item) return;
+
+      const id = item.dataset.driverId;
+      highlightedChartDriverId = String(highlightedChartDriverId) === id ? null : id;
+      applyChartHighlight();
+    });
+  }
+
+  // Export buttons (event delegation)
+  const exportDiv = document.getElementById('export-section');
+  if (exportDiv) {
+    exportDiv.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+
+      if (btn.dataset.export) {
+        const [kind, format] = btn.dataset.export.split('-');
+        exportData(kind, format);
+      } else if (btn.id === 'print-standings-button') {
+        printStandings();
+      }
+    });
+  }
+
+  // Recalculate-season button
+  const recalcBtn = document.getElementById('recalculate-season-button');
+  if (recalcBtn) {
+    recalcBtn.addEventListener('click', async () => {
+      if (!isAdmin) {
+        alert('Only admins can recalculate the season.');
+        return;
+      }
+
+      await recalculateSeason();
+    });
+  }
+
+  // Dirty-cell tracking inside the admin grid (event delegation)
   const gridBody = document.getElementById('grid-body');
   if (gridBody) {
-    gridBody.addEventListener('click', (e) => {
-      const btn = e.target.closest('.cell-save');
+    const onCellEdit = (e) => {
+      const td = e.target.closest('td[data-result-id]');
+      if (td) updateDirtyState(td);
+    };
+
+    gridBody.addEventListener('input', onCellEdit);
+    gridBody.addEventListener('change', onCellEdit);
+
+    gridBody.addEventListener('keydown', handleGridKeydown);
+    gridBody.addEventListener('paste', handleGridPaste);
+  }
+
+  const saveAllBtn = document.getElementById('save-all-button');
+  if (saveAllBtn) {
+    saveAllBtn.addEventListener('click', async () => {
+      if (!isAdmin) {
+        alert('Only admins can edit results.');
+        return;
+      }
+
+      await saveAllChanges();
+    });
+  }
+
+  const discardBtn = document.getElementById('discard-changes-button');
+  if (discardBtn) {
+    discardBtn.addEventListener('click', () => {
+      if (confirm('Discard all unsaved changes?')) {
+        discardChanges();
+      }
+    });
+  }
+
+  window.addEventListener('beforeunload', (e) => {
+    if (hasUnsavedChanges()) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  // Championship selector
+  const championshipSelect = document.getElementById('championship-select');
+  if (championshipSelect) {
+    championshipSelect.addEventListener('change', () => {
+      if (hasUnsavedChanges() && !confirm('You have unsaved changes. Switch championship and lose them?')) {
+        championshipSelect.value = currentChampionshipId;
+        return;
+      }
+
+      selectChampionship(championshipSelect.value);
+    });
+  }
+
+  // Add-championship button
+  const addChampionshipBtn = document.getElementById('add-championship-button');
+  if (addChampionshipBtn) {
+    addChampionshipBtn.addEventListener('click', async () => {
+      if (!isGlobalAdmin) {
+        alert('Only site admins can add championships.');
+        return;
+      }
+
+      const nameInput = document.getElementById('new-championship-name');
+      const slugInput = document.getElementById('new-championship-slug');
+
+      const name = nameInput.value.trim();
+      if (!name) {
+        alert('Championship name is required.');
+        return;
+      }
+
+      const created = await createChampionship(name, slugInput.value.trim());
+      if (!created) return;
+
+      // The creator owns the new championship
+      if (currentUser?.email) {
+        await inviteToChampionship(currentUser.email, 'owner', created.id);
+      }
+
+      await reloadChampionships();
+      await selectChampionship(created.id);
+
+      nameInput.value = '';
+      slugInput.value = '';
+    });
+  }
+
+  // Championship access: owners invite and remove admins and stewards
+  const inviteBtn = document.getElementById('invite-button');
+  if (inviteBtn) {
+    inviteBtn.addEventListener('click', async () => {
+      if (!isOwner()) {
+        alert('Only owners can manage access.');
+        return;
+      }
+
+      const emailInput = document.getElementById('invite-email');
+      const email = emailInput.value.trim();
+      const role = document.getElementById('invite-role').value;
+
+      if (!/^[^@\s]+@[^@\s]+$/.test(email)) {
+        alert('Enter a valid email address.');
+        return;
+      }
+
+      if (await inviteToChampionship(email, role)) {
+        emailInput.value = '';
+        await updateStandings();
+      }
+    });
+  }
+
+  const rolesAdminDiv = document.getElementById('roles-admin-list');
+  if (rolesAdminDiv) {
+    rolesAdminDiv.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.role-remove-btn');
       if (!btn) return;
-      const id = btn.dataset.resultId;
-      saveResultFromCell(id);
+
+      if (!isOwner()) {
+        alert('Only owners can manage access.');
+        return;
+      }
+
+      const role = championshipRoles.find(r => String(r.id) === btn.dataset.roleId);
+      if (!role) return;
+
+      const owners = championshipRoles.filter(r => r.role === 'owner');
+      if (role.role === 'owner' && owners.length <= 1) {
+        alert('A championship needs at least one owner.');
+        return;
+      }
+
+      if (!confirm(`Remove ${role.email} from this championship?`)) return;
+
+      if (await removeChampionshipRole(role.id)) {
+        // Removing yourself drops your own rights straight away
+        await refreshAdminStatus();
+        await updateStandings();
+      }
+    });
+  }
+
+  // Championship rename / archive buttons (event delegation)
+  const championshipsAdminDiv = document.getElementById('championships-admin-list');
+  if (championshipsAdminDiv) {
+    championshipsAdminDiv.addEventListener('click', async (e) => {
+      const renameBtn = e.target.closest('.championship-rename-btn');
+      const archiveBtn = e.target.closest('.championship-archive-btn');
+      if (!renameBtn && !archiveBtn) return;
+
+      if (!canEditChampionship((renameBtn || archiveBtn).dataset.championshipId)) {
+        alert('Only admins of this championship can edit it.');
+        return;
+      }
+
+      if (renameBtn) {
+        const id = renameBtn.dataset.championshipId;
+        const current = championships.find(c => c.id === id);
+        const name = prompt('New championship name:', current ? current.name : '');
+        if (!name || !name.trim()) return;
+
+        await renameChampionship(id, name.trim());
+      } else {
+        const id = archiveBtn.dataset.championshipId;
+        const archived = archiveBtn.dataset.archived === '1';
+        await setChampionshipArchived(id, !archived);
+      }
+
+      await reloadChampionships();
     });
   }
 
+  championships = await fetchChampionships();
+  const initial = findChampionshipFromUrl(championships);
+  if (initial) {
+    currentChampionshipId = initial.id;
+    writeChampionshipToUrl(initial);
+  }
+  renderChampionshipSelect(championships);
+
   await refreshAdminStatus();
+
   drivers = await fetchDrivers();
   await updateStandings();
+
+  subscribeToLiveUpdates();
+
+  if (DEMO_MODE) {
+    document.getElementById('admin-link').style.display = 'none';
+    setLoginStatus('Offline demo: changes are only saved in this browser.');
+    return;
+  }
+
+  // Fires INITIAL_SESSION right away with the restored session (if any).
+  // Supabase calls made inside the callback can deadlock, so defer them.
+  supabaseClient.auth.onAuthStateChange((event, session) => {
+    setTimeout(() => handleAuthChange(event, session), 0);
+  });
 });
 
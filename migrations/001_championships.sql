@@ -0,0 +1,9 @@
+-- Multiple championships: slug for ?championship=<slug> URLs and an archive flag.
+create table if not exists championships (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table championships add column if not exists slug text unique;
+alter table championships add column if not exists archived boolean not null default false;
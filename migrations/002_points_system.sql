@@ -0,0 +1,9 @@
+-- Per-championship points table: { "points": [25, 18, ...], "fastest_lap": 1, "pole": 0 }
+alter table championships add column if not exists scoring jsonb;
+
+-- Finishing data per result; cp_after is derived from it with the points table.
+alter table results add column if not exists position integer;
+alter table results add column if not exists fastest_lap boolean not null default false;
+alter table results add column if not exists pole boolean not null default false;
+alter table results add column if not exists dnf boolean not null default false;
+alter table results add column if not exists dsq boolean not null default false;
@@ -0,0 +1,2 @@
+-- Ordered tie-break rule keys, e.g. ["countback", "latest_race"]
+alter table championships add column if not exists tie_breakers jsonb;
@@ -0,0 +1,2 @@
+-- Best-N / drop-worst scoring: { "mode": "all" | "best" | "drop", "count": N }
+alter table championships add column if not exists counting_rule jsonb;
@@ -0,0 +1,18 @@
+-- Broadcast row changes for live standings.
+-- Full replica identity so DELETE events carry the whole old row.
+-- Adding a table that is already published fails, so each one is checked.
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['results', 'races', 'drivers'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+    ) then
+      execute format('alter publication supabase_realtime add table %I', t);
+    end if;
+  end loop;
+end;
+$$;
+alter table results replica identity full;
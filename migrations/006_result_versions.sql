@@ -0,0 +1,17 @@
+-- Optimistic concurrency for grid edits: every update bumps the version,
+-- and the page only writes a row whose version it has seen.
+alter table results add column if not exists version integer not null default 1;
+alter table results add column if not exists updated_at timestamptz not null default now();
+
+create or replace function bump_result_version() returns trigger as $$
+begin
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists results_bump_version on results;
+create trigger results_bump_version
+  before update on results
+  for each row execute function bump_result_version();
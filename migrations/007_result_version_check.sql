@@ -0,0 +1,15 @@
+-- Batch saves go through a single upsert, so the version check moves into the
+-- trigger: a write that sends a stale version fails the whole statement.
+-- Writes that do not touch version (carry-over cascades) pass unchanged.
+create or replace function bump_result_version() returns trigger as $$
+begin
+  if new.version is distinct from old.version then
+    raise exception 'version conflict on result %', old.id
+      using errcode = '40001';
+  end if;
+
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$ language plpgsql;
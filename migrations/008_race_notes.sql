@@ -0,0 +1,2 @@
+-- Free-text notes shown on the race detail page
+alter table races add column if not exists notes text;
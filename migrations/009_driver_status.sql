@@ -0,0 +1,6 @@
+-- Withdrawn / retired drivers stay in the championship with active = false
+alter table drivers add column if not exists status text not null default 'active'
+  check (status in ('active', 'withdrawn', 'retired'));
+
+-- Did-not-start rows for races before a driver entered (or while withdrawn)
+alter table results add column if not exists dns boolean not null default false;
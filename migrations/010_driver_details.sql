@@ -0,0 +1,10 @@
+-- Race number and per-round car history
+alter table drivers add column if not exists number integer;
+
+create table if not exists driver_car_changes (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references drivers(id) on delete cascade,
+  car text not null,
+  from_round integer not null check (from_round >= 1),
+  unique (driver_id, from_round)
+);
@@ -0,0 +1,12 @@
+-- Teams per championship; drivers are assigned through drivers.team_id
+create table if not exists teams (
+  id uuid primary key default gen_random_uuid(),
+  championship_id uuid not null references championships(id) on delete cascade,
+  name text not null,
+  unique (championship_id, name)
+);
+
+alter table drivers add column if not exists team_id uuid references teams(id) on delete set null;
+
+-- Constructors' standings: { "drivers_per_race": N (0 = all), "tie_breakers": ["countback", "latest_race"] }
+alter table championships add column if not exists constructors jsonb;
@@ -0,0 +1,24 @@
+-- Structured penalties. results.penalty_for_next is derived from these:
+-- the driver's PI deductions still active going into the next race.
+create table if not exists penalties (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references drivers(id) on delete cascade,
+  race_id uuid not null references races(id) on delete cascade,
+  type text not null check (type in ('grid_drop', 'pi_deduction', 'points_deduction')),
+  amount integer not null check (amount > 0),
+  reason text not null,
+  steward_notes text,
+  -- rounds the penalty stays active after the race it was issued at; null = rest of the season
+  expires_after_rounds integer check (expires_after_rounds >= 1),
+  created_at timestamptz not null default now()
+);
+
+-- Existing penalty numbers become one-round PI deductions
+insert into penalties (driver_id, race_id, type, amount, reason, expires_after_rounds)
+select r.driver_id, r.race_id, 'pi_deduction', r.penalty_for_next, 'Imported', 1
+from results r
+where r.penalty_for_next > 0
+  and not exists (
+    select 1 from penalties p
+    where p.driver_id = r.driver_id and p.race_id = r.race_id
+  );
@@ -0,0 +1,23 @@
+-- Who changed what: one row per admin change with the row before and after.
+-- race_id / driver_id are kept without foreign keys so entries outlive the
+-- rows they describe (a deleted race can be restored from before_data).
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  championship_id uuid references championships(id) on delete cascade,
+  user_id uuid,
+  user_email text,
+  kind text not null check (kind in ('insert', 'update', 'delete', 'reorder')),
+  table_name text not null,
+  row_id uuid,
+  race_id uuid,
+  driver_id uuid,
+  summary text not null,
+  before_data jsonb,
+  after_data jsonb,
+  undoable boolean not null default true,
+  undone_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_championship_created_idx
+  on audit_log (championship_id, created_at desc);
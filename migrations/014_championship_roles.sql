@@ -0,0 +1,26 @@
+-- Per-championship roles. owner/admin edit everything (owners also manage
+-- access), steward only edits penalties. Invites are stored by email;
+-- user_id is filled in when the invited user first signs in.
+-- Rows in the admins table keep owner rights on every championship.
+create table if not exists championship_roles (
+  id uuid primary key default gen_random_uuid(),
+  championship_id uuid not null references championships(id) on delete cascade,
+  email text not null check (email = lower(email)),
+  user_id uuid,
+  role text not null check (role in ('owner', 'admin', 'steward')),
+  created_at timestamptz not null default now(),
+  unique (championship_id, email)
+);
+
+-- Role of the signed-in user in a championship, for row level security policies
+create or replace function championship_role(target_championship uuid) returns text as $$
+  select case
+    when exists (select 1 from admins where user_id = auth.uid()) then 'owner'
+    else (
+      select role from championship_roles
+      where championship_id = target_championship
+        and (user_id = auth.uid() or email = lower(auth.jwt() ->> 'email'))
+      limit 1
+    )
+  end;
+$$ language sql stable security definer set search_path = public;
@@ -0,0 +1,11 @@
+-- Per-round team membership, like driver_car_changes: the team a driver
+-- scores for from a given round on (null: no team). drivers.team_id keeps
+-- the team from the latest change; drivers without rows here count for it
+-- in every round.
+create table if not exists driver_team_changes (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references drivers(id) on delete cascade,
+  team_id uuid references teams(id) on delete set null,
+  from_round integer not null check (from_round >= 1),
+  unique (driver_id, from_round)
+);
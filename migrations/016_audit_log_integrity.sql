@@ -0,0 +1,35 @@
+-- The audit log is written by signed-in users but stamped by the database:
+-- who and when come from the session, whatever the client sends. Entries
+-- are insert-only; an undo is a new entry pointing at the one it reverses
+-- (undoes_id) instead of setting undone_at, which is kept for older entries.
+alter table audit_log add column if not exists undoes_id uuid references audit_log(id);
+
+create or replace function stamp_audit_entry() returns trigger as $$
+begin
+  new.user_id := auth.uid();
+  new.user_email := auth.jwt() ->> 'email';
+  new.created_at := now();
+  new.undone_at := null;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists audit_log_stamp on audit_log;
+create trigger audit_log_stamp
+  before insert on audit_log
+  for each row execute function stamp_audit_entry();
+
+alter table audit_log enable row level security;
+
+-- Anyone with a role in the championship logs their own changes (stewards
+-- included); only owners and admins read the history
+drop policy if exists audit_log_insert on audit_log;
+create policy audit_log_insert on audit_log for insert to authenticated
+  with check (championship_role(championship_id) is not null);
+
+drop policy if exists audit_log_select on audit_log;
+create policy audit_log_select on audit_log for select to authenticated
+  using (championship_role(championship_id) in ('owner', 'admin'));
+
+-- No update or delete policy, and no grant either
+revoke update, delete, truncate on audit_log from anon, authenticated;
@@ -0,0 +1,182 @@
+-- Row level security on every table. Standings are public, so anyone may
+-- read; writes follow championship_role(): owner/admin edit everything,
+-- stewards edit penalties (and the penalty columns of results that follow
+-- from them), owners manage access. New championships need a row in admins.
+-- The checks in the page only hide controls; these are the ones that hold.
+
+-- The helpers run as their owner, so the search_path is fixed: objects a
+-- caller puts earlier on theirs can't stand in for these tables.
+create or replace function race_championship(target_race uuid) returns uuid as $$
+  select championship_id from races where id = target_race;
+$$ language sql stable security definer set search_path = public;
+
+create or replace function driver_championship(target_driver uuid) returns uuid as $$
+  select championship_id from drivers where id = target_driver;
+$$ language sql stable security definer set search_path = public;
+
+create or replace function is_global_admin() returns boolean as $$
+  select exists (select 1 from admins where user_id = auth.uid());
+$$ language sql stable security definer set search_path = public;
+
+-- championships
+alter table championships enable row level security;
+
+drop policy if exists championships_read on championships;
+create policy championships_read on championships for select using (true);
+
+drop policy if exists championships_create on championships;
+create policy championships_create on championships for insert to authenticated
+  with check (is_global_admin());
+
+drop policy if exists championships_edit on championships;
+create policy championships_edit on championships for update to authenticated
+  using (championship_role(id) in ('owner', 'admin'))
+  with check (championship_role(id) in ('owner', 'admin'));
+
+drop policy if exists championships_delete on championships;
+create policy championships_delete on championships for delete to authenticated
+  using (championship_role(id) = 'owner');
+
+-- drivers, races, teams: owner/admin of their championship
+alter table drivers enable row level security;
+
+drop policy if exists drivers_read on drivers;
+create policy drivers_read on drivers for select using (true);
+
+drop policy if exists drivers_write on drivers;
+create policy drivers_write on drivers for all to authenticated
+  using (championship_role(championship_id) in ('owner', 'admin'))
+  with check (championship_role(championship_id) in ('owner', 'admin'));
+
+alter table races enable row level security;
+
+drop policy if exists races_read on races;
+create policy races_read on races for select using (true);
+
+drop policy if exists races_write on races;
+create policy races_write on races for all to authenticated
+  using (championship_role(championship_id) in ('owner', 'admin'))
+  with check (championship_role(championship_id) in ('owner', 'admin'));
+
+alter table teams enable row level security;
+
+drop policy if exists teams_read on teams;
+create policy teams_read on teams for select using (true);
+
+drop policy if exists teams_write on teams;
+create policy teams_write on teams for all to authenticated
+  using (championship_role(championship_id) in ('owner', 'admin'))
+  with check (championship_role(championship_id) in ('owner', 'admin'));
+
+-- results: owner/admin; stewards may update the penalty columns only
+alter table results enable row level security;
+
+drop policy if exists results_read on results;
+create policy results_read on results for select using (true);
+
+drop policy if exists results_write on results;
+create policy results_write on results for all to authenticated
+  using (championship_role(race_championship(race_id)) in ('owner', 'admin'))
+  with check (championship_role(race_championship(race_id)) in ('owner', 'admin'));
+
+drop policy if exists results_steward_update on results;
+create policy results_steward_update on results for update to authenticated
+  using (championship_role(race_championship(race_id)) = 'steward')
+  with check (championship_role(race_championship(race_id)) = 'steward');
+
+create or replace function guard_steward_result_update() returns trigger as $$
+begin
+  if championship_role(race_championship(old.race_id)) = 'steward'
+     and (to_jsonb(new) - 'penalty_before' - 'penalty_for_next' - 'version' - 'updated_at')
+      <> (to_jsonb(old) - 'penalty_before' - 'penalty_for_next' - 'version' - 'updated_at') then
+    raise exception 'stewards can only change penalties'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists results_steward_guard on results;
+create trigger results_steward_guard
+  before update on results
+  for each row execute function guard_steward_result_update();
+
+-- penalties: owner/admin/steward
+alter table penalties enable row level security;
+
+drop policy if exists penalties_read on penalties;
+create policy penalties_read on penalties for select using (true);
+
+drop policy if exists penalties_write on penalties;
+create policy penalties_write on penalties for all to authenticated
+  using (championship_role(race_championship(race_id)) in ('owner', 'admin', 'steward'))
+  with check (championship_role(race_championship(race_id)) in ('owner', 'admin', 'steward'));
+
+-- car and team history: owner/admin of the driver's championship
+alter table driver_car_changes enable row level security;
+
+drop policy if exists driver_car_changes_read on driver_car_changes;
+create policy driver_car_changes_read on driver_car_changes for select using (true);
+
+drop policy if exists driver_car_changes_write on driver_car_changes;
+create policy driver_car_changes_write on driver_car_changes for all to authenticated
+  using (championship_role(driver_championship(driver_id)) in ('owner', 'admin'))
+  with check (championship_role(driver_championship(driver_id)) in ('owner', 'admin'));
+
+alter table driver_team_changes enable row level security;
+
+drop policy if exists driver_team_changes_read on driver_team_changes;
+create policy driver_team_changes_read on driver_team_changes for select using (true);
+
+drop policy if exists driver_team_changes_write on driver_team_changes;
+create policy driver_team_changes_write on driver_team_changes for all to authenticated
+  using (championship_role(driver_championship(driver_id)) in ('owner', 'admin'))
+  with check (championship_role(driver_championship(driver_id)) in ('owner', 'admin'));
+
+-- championship_roles: owners manage them; everyone sees their own invites
+-- and may link them to their account (user_id) on first sign-in
+alter table championship_roles enable row level security;
+
+drop policy if exists championship_roles_read on championship_roles;
+create policy championship_roles_read on championship_roles for select to authenticated
+  using (
+    championship_role(championship_id) = 'owner'
+    or user_id = auth.uid()
+    or email = lower(auth.jwt() ->> 'email')
+  );
+
+drop policy if exists championship_roles_manage on championship_roles;
+create policy championship_roles_manage on championship_roles for all to authenticated
+  using (championship_role(championship_id) = 'owner')
+  with check (championship_role(championship_id) = 'owner');
+
+drop policy if exists championship_roles_link on championship_roles;
+create policy championship_roles_link on championship_roles for update to authenticated
+  using (user_id is null and email = lower(auth.jwt() ->> 'email'))
+  with check (user_id = auth.uid() and email = lower(auth.jwt() ->> 'email'));
+
+-- Linking may only fill in user_id; the role itself stays with the owners
+create or replace function guard_championship_role_update() returns trigger as $$
+begin
+  if championship_role(old.championship_id) is distinct from 'owner'
+     and (new.championship_id, new.email, new.role) is distinct from (old.championship_id, old.email, old.role) then
+    raise exception 'only owners can change roles'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists championship_roles_guard on championship_roles;
+create trigger championship_roles_guard
+  before update on championship_roles
+  for each row execute function guard_championship_role_update();
+
+-- admins: only readable by the admin themselves, changed from the dashboard
+alter table admins enable row level security;
+
+drop policy if exists admins_read_own on admins;
+create policy admins_read_own on admins for select to authenticated
+  using (user_id = auth.uid());
@@ -0,0 +1,435 @@
+// Data access: one object per table with the same methods in both
+// backends; each call resolves to { data, error } like a Supabase query.
+// createSupabaseRepository talks to the live project, createMemoryRepository
+// keeps the tables in memory (and in localStorage when given one) for the
+// offline demo and the tests. Loaded before app.js in the page, require()d
+// by the tests.
+
+function createSupabaseRepository(client) {
+  const table = (name) => ({
+    get: (id) => client.from(name).select('*').eq('id', id).maybeSingle(),
+    where: (match) => Object.keys(match).reduce(
+      (query, key) => query.eq(key, match[key]),
+      client.from(name).select('*')
+    ),
+    insert: (rows) => client.from(name).insert(rows),
+    create: (values) => client.from(name).insert(values).select().single(),
+    update: (id, changes) => client.from(name).update(changes).eq('id', id),
+    remove: (id) => client.from(name).delete().eq('id', id),
+    removeWhere: (match) => Object.keys(match).reduce(
+      (query, key) => query.eq(key, match[key]),
+      client.from(name).delete()
+    )
+  });
+
+  return {
+    championships: {
+      ...table('championships'),
+      list: () => client
+        .from('championships')
+        .select('*')
+        .order('created_at', { ascending: true })
+    },
+
+    drivers: {
+      ...table('drivers'),
+      list: (championshipId) => client
+        .from('drivers')
+        .select('*')
+        .eq('championship_id', championshipId)
+    },
+
+    races: {
+      ...table('races'),
+      list: (championshipId) => client
+        .from('races')
+        .select('*')
+        .eq('championship_id', championshipId)
+        .order('round_number', { ascending: true })
+    },
+
+    results: {
+      ...table('results'),
+      // Each row carries races: { championship_id, round_number, name }
+      list: (championshipId) => client
+        .from('results')
+        .select(
+          'id, driver_id, race_id, cp_before, pi_before, penalty_before, cp_after, pi_after, penalty_for_next, ' +
+          'position, fastest_lap, pole, dnf, dsq, dns, version, ' +
+          'races!inner(championship_id, round_number, name)'
+        )
+        .eq('races.championship_id', championshipId),
+      listForRaces: (raceIds) => client
+        .from('results')
+        .select('*')
+        .in('race_id', raceIds),
+      // The version trigger rejects the whole batch (code 40001) if any row changed meanwhile
+      save: (rows) => client
+        .from('results')
+        .upsert(rows, { onConflict: 'id' })
+    },
+
+    teams: {
+      ...table('teams'),
+      list: (championshipId) => client
+        .from('teams')
+        .select('*')
+        .eq('championship_id', championshipId)
+        .order('name', { ascending: true })
+    },
+
+    penalties: {
+      ...table('penalties'),
+      // Each row carries races: { championship_id, round_number, name }
+      list: (championshipId) => client
+        .from('penalties')
+        .select('*, races!inner(championship_id, round_number, name)')
+        .eq('races.championship_id', championshipId)
+        .order('created_at', { ascending: true })
+    },
+
+    driver_car_changes: {
+      ...table('driver_car_changes'),
+      list: (championshipId) => client
+        .from('driver_car_changes')
+        .select('id, driver_id, car, from_round, drivers!inner(championship_id)')
+        .eq('drivers.championship_id', championshipId)
+        .order('from_round', { ascending: true }),
+      save: (rows) => client
+        .from('driver_car_changes')
+        .upsert(rows, { onConflict: 'driver_id,from_round' })
+    },
+
+    driver_team_changes: {
+      ...table('driver_team_changes'),
+      list: (championshipId) => client
+        .from('driver_team_changes')
+        .select('id, driver_id, team_id, from_round, drivers!inner(championship_id)')
+        .eq('drivers.championship_id', championshipId)
+        .order('from_round', { ascending: true }),
+      save: (rows) => client
+        .from('driver_team_changes')
+        .upsert(rows, { onConflict: 'driver_id,from_round' })
+    },
+
+    audit_log: {
+      ...table('audit_log'),
+      list: (championshipId, { raceId = null, driverId = null, limit }) => {
+        let query = client
+          .from('audit_log')
+          .select('*')
+          .eq('championship_id', championshipId)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+
+        if (raceId) query = query.eq('race_id', raceId);
+        if (driverId) query = query.eq('driver_id', driverId);
+
+        return query;
+      }
+    },
+
+    championship_roles: {
+      ...table('championship_roles'),
+      list: (championshipId) => client
+        .from('championship_roles')
+        .select('*')
+        .eq('championship_id', championshipId)
+        .order('email', { ascending: true }),
+      // Adds the invite, or changes the role of an email already invited
+      save: (values) => client
+        .from('championship_roles')
+        .upsert(values, { onConflict: 'championship_id,email' })
+        .select()
+        .single()
+    },
+
+    admins: {
+      get: (userId) => client
+        .from('admins')
+        .select('user_id')
+        .eq('user_id', userId)
+        .maybeSingle()
+    }
+  };
+}
+
+const MEMORY_STORAGE_KEY = 'championship-demo-data';
+
+// Column defaults from the migrations
+const MEMORY_DEFAULTS = {
+  championships: { archived: false },
+  drivers: { active: true, status: 'active', number: null, team_id: null },
+  races: { race_date: null, notes: null },
+  results: {
+    position: null, fastest_lap: false, pole: false, dnf: false, dsq: false, dns: false,
+    cp_before: 0, pi_before: 0, penalty_before: 0, cp_after: 0, pi_after: 0, penalty_for_next: 0,
+    version: 1
+  },
+  penalties: { steward_notes: null, expires_after_rounds: null },
+  audit_log: { undoable: true, undone_at: null, undoes_id: null },
+  championship_roles: { user_id: null }
+};
+
+// Rows the database deletes, or unlinks, together with the row they point to
+const MEMORY_CASCADES = {
+  championships: [
+    ['drivers', 'championship_id'], ['races', 'championship_id'], ['teams', 'championship_id'],
+    ['audit_log', 'championship_id'], ['championship_roles', 'championship_id']
+  ],
+  drivers: [
+    ['results', 'driver_id'], ['penalties', 'driver_id'],
+    ['driver_car_changes', 'driver_id'], ['driver_team_changes', 'driver_id']
+  ],
+  races: [['results', 'race_id'], ['penalties', 'race_id']]
+};
+const MEMORY_SET_NULL = {
+  teams: [['drivers', 'team_id'], ['driver_team_changes', 'team_id']]
+};
+
+// storage: a localStorage-like object to keep the data in, or null for a
+// throwaway store. initialData: { table: rows } to start from (e.g. fixtures).
+// getUser stands in for the session that stamps audit_log entries.
+function createMemoryRepository(storage = null, initialData = null, getUser = () => null) {
+  const saved = storage ? storage.getItem(MEMORY_STORAGE_KEY) : null;
+  const tables = saved ? JSON.parse(saved) : structuredClone(initialData || {});
+
+  const rowsOf = (name) => (tables[name] = tables[name] || []);
+  const sameId = (a, b) => String(a) === String(b);
+  const matches = (row, match) => Object.keys(match).every(key => sameId(row[key], match[key]));
+  const ok = (data) => ({ data: structuredClone(data), error: null });
+  const persist = () => {
+    if (storage) storage.setItem(MEMORY_STORAGE_KEY, JSON.stringify(tables));
+  };
+
+  const insertRows = (name, values) => {
+    const rows = (Array.isArray(values) ? values : [values]).map(v => ({
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...MEMORY_DEFAULTS[name],
+      ...structuredClone(v)
+    }));
+
+    rowsOf(name).push(...rows);
+    persist();
+    return rows;
+  };
+
+  const removeRows = (name, match) => {
+    const removed = rowsOf(name).filter(row => matches(row, match));
+    tables[name] = rowsOf(name).filter(row => !removed.includes(row));
+
+    for (const row of removed) {
+      for (const [child, column] of MEMORY_CASCADES[name] || []) {
+        removeRows(child, { [column]: row.id });
+      }
+      for (const [child, column] of MEMORY_SET_NULL[name] || []) {
+        rowsOf(child).filter(c => sameId(c[column], row.id)).forEach(c => { c[column] = null; });
+      }
+    }
+
+    persist();
+  };
+
+  // Mirrors bump_result_version(): a write that sends a stale version fails,
+  // every write bumps the version
+  const versionConflict = (name, row, changes) =>
+    name === 'results' && changes.version !== undefined && changes.version !== (row.version ?? 1);
+
+  const updateRow = (name, row, changes) => {
+    Object.assign(row, structuredClone(changes));
+    if (name === 'results') row.version = (row.version ?? 1) + 1;
+  };
+
+  const conflictError = (id) => ({ data: null, error: { code: '40001', message: `version conflict on result ${id}` } });
+  const deniedError = (name) => ({ data: null, error: { code: '42501', message: `permission denied for table ${name}` } });
+
+  const table = (name) => ({
+    get: async (id) => ok(rowsOf(name).find(row => sameId(row.id, id)) ?? null),
+    where: async (match) => ok(rowsOf(name).filter(row => matches(row, match))),
+    insert: async (rows) => {
+      insertRows(name, rows);
+      return ok(null);
+    },
+    create: async (values) => ok(insertRows(name, values)[0]),
+    update: async (id, changes) => {
+      const row = rowsOf(name).find(r => sameId(r.id, id));
+      if (row && versionConflict(name, row, changes)) return conflictError(id);
+      if (row) updateRow(name, row, changes);
+      persist();
+      return ok(null);
+    },
+    remove: async (id) => {
+      removeRows(name, { id: id });
+      return ok(null);
+    },
+    removeWhere: async (match) => {
+      removeRows(name, match);
+      return ok(null);
+    }
+  });
+
+  // Upsert: rows matching on the key columns are updated, the rest inserted
+  const upsert = (name, values, keys) => {
+    const pairs = values.map(v => [v, rowsOf(name).find(row => keys.every(key => sameId(row[key], v[key])))]);
+
+    const stale = pairs.find(([v, row]) => row && versionConflict(name, row, v));
+    if (stale) return conflictError(stale[1].id);
+
+    for (const [v, row] of pairs) {
+      if (row) {
+        updateRow(name, row, v);
+      } else {
+        insertRows(name, v);
+      }
+    }
+
+    persist();
+    return { data: pairs.map(([v, row]) => row || rowsOf(name).find(r => keys.every(key => sameId(r[key], v[key])))), error: null };
+  };
+
+  const raceInfo = (raceId) => {
+    const race = rowsOf('races').find(r => sameId(r.id, raceId));
+    return race ? { championship_id: race.championship_id, round_number: race.round_number, name: race.name } : null;
+  };
+
+  const withRace = (rows, championshipId) => rows
+    .map(row => ({ ...row, races: raceInfo(row.race_id) }))
+    .filter(row => row.races && sameId(row.races.championship_id, championshipId));
+
+  const byKey = (key, descending = false) => (a, b) => {
+    const order = a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0;
+    return descending ? -order : order;
+  };
+
+  return {
+    championships: {
+      ...table('championships'),
+      list: async () => ok([...rowsOf('championships')].sort(byKey('created_at')))
+    },
+
+    drivers: {
+      ...table('drivers'),
+      list: async (championshipId) => ok(rowsOf('drivers').filter(d => sameId(d.championship_id, championshipId)))
+    },
+
+    races: {
+      ...table('races'),
+      list: async (championshipId) => ok(
+        rowsOf('races')
+          .filter(r => sameId(r.championship_id, championshipId))
+          .sort(byKey('round_number'))
+      )
+    },
+
+    results: {
+      ...table('results'),
+      list: async (championshipId) => ok(withRace(rowsOf('results'), championshipId)),
+      listForRaces: async (raceIds) => ok(rowsOf('results').filter(r => raceIds.some(id => sameId(id, r.race_id)))),
+      save: async (rows) => structuredClone(upsert('results', rows, ['id']))
+    },
+
+    teams: {
+      ...table('teams'),
+      list: async (championshipId) => ok(
+        rowsOf('teams')
+          .filter(t => sameId(t.championship_id, championshipId))
+          .sort(byKey('name'))
+      )
+    },
+
+    penalties: {
+      ...table('penalties'),
+      list: async (championshipId) => ok(withRace(rowsOf('penalties'), championshipId).sort(byKey('created_at')))
+    },
+
+    driver_car_changes: {
+      ...table('driver_car_changes'),
+      list: async (championshipId) => {
+        const driverIds = rowsOf('drivers')
+          .filter(d => sameId(d.championship_id, championshipId))
+          .map(d => String(d.id));
+
+        return ok(
+          rowsOf('driver_car_changes')
+            .filter(c => driverIds.includes(String(c.driver_id)))
+            .map(c => ({ ...c, drivers: { championship_id: championshipId } }))
+            .sort(byKey('from_round'))
+        );
+      },
+      save: async (rows) => structuredClone(upsert('driver_car_changes', rows, ['driver_id', 'from_round']))
+    },
+
+    driver_team_changes: {
+      ...table('driver_team_changes'),
+      list: async (championshipId) => {
+        const driverIds = rowsOf('drivers')
+          .filter(d => sameId(d.championship_id, championshipId))
+          .map(d => String(d.id));
+
+        return ok(
+          rowsOf('driver_team_changes')
+            .filter(c => driverIds.includes(String(c.driver_id)))
+            .map(c => ({ ...c, drivers: { championship_id: championshipId } }))
+            .sort(byKey('from_round'))
+        );
+      },
+      save: async (rows) => structuredClone(upsert('driver_team_changes', rows, ['driver_id', 'from_round']))
+    },
+
+    // Mirrors stamp_audit_entry() and the grants: insert-only, user and time
+    // come from the session
+    audit_log: {
+      ...table('audit_log'),
+      insert: async (rows) => {
+        const user = getUser();
+        insertRows('audit_log', (Array.isArray(rows) ? rows : [rows]).map(row => ({
+          ...row,
+          user_id: user?.id ?? null,
+          user_email: user?.email ?? null,
+          created_at: new Date().toISOString(),
+          undone_at: null
+        })));
+        return ok(null);
+      },
+      create: async () => deniedError('audit_log'),
+      update: async () => deniedError('audit_log'),
+      remove: async () => deniedError('audit_log'),
+      removeWhere: async () => deniedError('audit_log'),
+      list: async (championshipId, { raceId = null, driverId = null, limit }) => ok(
+        // Reversed first so entries written in the same millisecond stay newest first
+        [...rowsOf('audit_log')].reverse()
+          .filter(e => sameId(e.championship_id, championshipId))
+          .filter(e => !raceId || sameId(e.race_id, raceId))
+          .filter(e => !driverId || sameId(e.driver_id, driverId))
+          .sort(byKey('created_at', true))
+          .slice(0, limit)
+      )
+    },
+
+    championship_roles: {
+      ...table('championship_roles'),
+      list: async (championshipId) => ok(
+        rowsOf('championship_roles')
+          .filter(r => sameId(r.championship_id, championshipId))
+          .sort(byKey('email'))
+      ),
+      save: async (values) => {
+        const { data, error } = upsert('championship_roles', [values], ['championship_id', 'email']);
+        return error ? { data: null, error } : ok(data[0]);
+      }
+    },
+
+    admins: {
+      get: async (userId) => ok(rowsOf('admins').find(a => sameId(a.user_id, userId)) ?? null)
+    }
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    createSupabaseRepository,
+    createMemoryRepository,
+    MEMORY_STORAGE_KEY
+  };
+}
@@ -0,0 +1,546 @@
+// Season logic shared by the page and the tests: points, the carry-over
+// chain, penalties, counting rules, tie-breaks and the drivers' standings.
+// Nothing here reads the DOM or the page's state; settings and records are
+// passed in. Loaded before app.js in the page, require()d by the tests.
+
+// --- Points ---
+// A scoring system is { points: [25, 18, ...], fastest_lap: 1, pole: 0 },
+// points[0] for P1, points[1] for P2, and so on.
+
+const SCORING_PRESETS = {
+  f1: {
+    label: 'F1 (2010+)',
+    points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    fastest_lap: 1,
+    pole: 0
+  },
+  f1_classic: {
+    label: 'F1 (2003-2009)',
+    points: [10, 8, 6, 5, 4, 3, 2, 1],
+    fastest_lap: 0,
+    pole: 0
+  },
+  motogp: {
+    label: 'MotoGP',
+    points: [25, 20, 16, 13, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1],
+    fastest_lap: 0,
+    pole: 0
+  },
+  indycar: {
+    label: 'IndyCar',
+    points: [50, 40, 35, 32, 30, 28, 26, 24, 22, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10],
+    fastest_lap: 0,
+    pole: 1
+  }
+};
+
+// Rows without a position or DNF/DSQ have no finish to score (races not run
+// yet, or CP entered by hand before the points system); their CP is kept
+function hasFinish(result) {
+  return !!(result.position || result.dnf || result.dsq);
+}
+
+// DSQ and DNS score nothing; DNF keeps the pole bonus but no position or fastest lap points
+function computeCpForResult(finish, scoring) {
+  if (finish.dsq || finish.dns) return 0;
+
+  let cp = 0;
+
+  if (!finish.dnf && finish.position) {
+    cp += scoring.points[finish.position - 1] ?? 0;
+
+    if (finish.fastest_lap) {
+      cp += scoring.fastest_lap ?? 0;
+    }
+  }
+
+  if (finish.pole) {
+    cp += scoring.pole ?? 0;
+  }
+
+  return cp;
+}
+
+// --- Carry-over chain ---
+// Each results row carries the totals from earlier rounds in the *_before
+// columns: before(round N) = before(round N-1) + after(round N-1).
+// Round 1 "before" values are entered by hand and are never recomputed.
+// penalty_before is the exception: penalty_for_next already holds every
+// penalty still active, so it is taken from the penalty records instead.
+
+const CARRY_OVER_FIELDS = [
+  { before: 'cp_before',      after: 'cp_after',         label: 'CP' },
+  { before: 'pi_before',      after: 'pi_after',         label: 'PI' },
+  { before: 'penalty_before', after: 'penalty_for_next', label: 'Pen', fromRecords: true }
+];
+
+function sortByRound(rows) {
+  return [...rows].sort(
+    (a, b) => (a.races?.round_number ?? 0) - (b.races?.round_number ?? 0)
+  );
+}
+
+// Takes one driver's rows (in round order) and returns the rows whose
+// "before" values no longer match the chain, with the corrected values.
+function planCarryOver(driverRows, records) {
+  const rows = driverRows.map(r => ({ ...r }));
+  const changes = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const prev = rows[i - 1];
+    const row = rows[i];
+
+    const values = {};
+    const changed = [];
+
+    for (const f of CARRY_OVER_FIELDS) {
+      values[f.before] = f.fromRecords
+        ? penaltyCarriedInto(row.driver_id, row.races?.round_number ?? 0, records)
+        : (prev[f.before] ?? 0) + (prev[f.after] ?? 0);
+      if ((row[f.before] ?? 0) !== values[f.before]) {
+        changed.push(f);
+      }
+    }
+
+    if (changed.length > 0) {
+      changes.push({ row: driverRows[i], values, changed });
+    }
+
+    Object.assign(row, values);
+  }
+
+  return changes;
+}
+
+// Every driver's chain, rebuilt from their first round
+function planSeasonCarryOver(allResults, records) {
+  const rowsByDriver = {};
+  for (const r of allResults) {
+    (rowsByDriver[r.driver_id] = rowsByDriver[r.driver_id] || []).push(r);
+  }
+
+  const changes = [];
+  for (const driverId of Object.keys(rowsByDriver)) {
+    changes.push(...planCarryOver(sortByRound(rowsByDriver[driverId]), records));
+  }
+
+  return changes;
+}
+
+// One results row per active driver for a new race, carrying over each
+// driver's totals from their latest earlier round
+async function createDefaultResultsForRace(repository, championshipId, raceId, roundNumber, penaltyRecords) {
+  // 1) All active drivers in this championship
+  const { data: driverRows, error: driversError } = await repository.drivers.where({
+    championship_id: championshipId,
+    active: true
+  });
+
+  if (driversError) {
+    console.error('Error fetching drivers:', driversError.message);
+    return;
+  }
+
+  // 2) All earlier races
+  const { data: races, error: prevRaceError } = await repository.races.list(championshipId);
+
+  if (prevRaceError) {
+    console.error('Error fetching previous races:', prevRaceError.message);
+    return;
+  }
+
+  const raceIdToRound = {};
+  const previousRaceIds = [];
+  for (const r of (races || []).filter(race => race.round_number < roundNumber)) {
+    raceIdToRound[r.id] = r.round_number;
+    previousRaceIds.push(r.id);
+  }
+
+  // 3) Latest result row (by round) for each driver from previous races
+  const latestByDriver = {};
+
+  if (previousRaceIds.length > 0) {
+    const { data: prevResults, error: prevResError } = await repository.results.listForRaces(previousRaceIds);
+
+    if (prevResError) {
+      console.error('Error fetching previous results:', prevResError.message);
+      return;
+    }
+
+    for (const row of prevResults || []) {
+      const dId = row.driver_id;
+      const rId = row.race_id;
+      const round = raceIdToRound[rId] || 0;
+
+      if (!latestByDriver[dId] || round > latestByDriver[dId].round_number) {
+        latestByDriver[dId] = {
+          round_number: round,
+          cp_before: row.cp_before ?? 0,
+          pi_before: row.pi_before ?? 0,
+          penalty_before: row.penalty_before ?? 0,
+          cp_after: row.cp_after ?? 0,
+          pi_after: row.pi_after ?? 0,
+          penalty_for_next: row.penalty_for_next ?? 0
+        };
+      }
+    }
+  }
+
+  // 4) Build rows to insert for the new race
+  const rowsToInsert = driverRows.map(d => {
+    const latest = latestByDriver[d.id];
+
+    if (!latest) {
+      // First race for this driver:
+      // bottom row will be edited manually in race 1
+      return {
+        driver_id: d.id,
+        race_id: raceId,
+
+        cp_before: 0,
+        pi_before: 0,
+        penalty_before: 0,
+
+        // top row starts empty – admin fills per race
+        cp_after: 0,
+        pi_after: 0,
+        penalty_for_next: 0
+      };
+    }
+
+    // Later races: cumulative totals
+    const cpBeforeNew =
+      (latest.cp_before ?? 0) + (latest.cp_after ?? 0);
+    const piBeforeNew =
+      (latest.pi_before ?? 0) + (latest.pi_after ?? 0);
+    // Active penalties are not a running sum (see penaltyCarriedInto)
+    const penBeforeNew = penaltyCarriedInto(d.id, roundNumber, penaltyRecords);
+
+    return {
+      driver_id: d.id,
+      race_id: raceId,
+
+      // bottom row = previous bottom + previous top
+      cp_before: cpBeforeNew,
+      pi_before: piBeforeNew,
+      penalty_before: penBeforeNew,
+
+      // top row starts blank for the new race
+      cp_after: 0,
+      pi_after: 0,
+      penalty_for_next: 0
+    };
+  });
+
+  // 5) Insert all default rows for this race
+  const { error: insertError } = await repository.results.insert(rowsToInsert);
+
+  if (insertError) {
+    console.error('Error inserting default results:', insertError.message);
+  }
+}
+
+// --- Penalties ---
+// A penalty is issued at a race and active from the next race on, for
+// expires_after_rounds rounds (null: until the end of the season).
+
+function penaltyRound(p) {
+  return p.races?.round_number ?? 0;
+}
+
+// Active after the race of `round`, i.e. going into round + 1
+function isPenaltyActive(p, round) {
+  const issued = penaltyRound(p);
+  if (issued > round) return false;
+
+  return p.expires_after_rounds === null
+    || p.expires_after_rounds === undefined
+    || round < issued + p.expires_after_rounds;
+}
+
+function derivePenaltyForNext(driverId, round, records) {
+  return records
+    .filter(p => p.driver_id === driverId && p.type === 'pi_deduction' && isPenaltyActive(p, round))
+    .reduce((sum, p) => sum + p.amount, 0);
+}
+
+// penalty_before of a round: each penalty active going into it, counted once
+function penaltyCarriedInto(driverId, round, records) {
+  return derivePenaltyForNext(driverId, round - 1, records);
+}
+
+// Points deductions issued up to and including the latest round in allResults
+function applyPointsDeductions(drivers, allResults, records) {
+  let latestRound = 0;
+  for (const r of allResults) {
+    latestRound = Math.max(latestRound, r.races?.round_number ?? 0);
+  }
+
+  for (const driver of drivers) {
+    const deducted = records
+      .filter(p => p.driver_id === driver.id && p.type === 'points_deduction' && penaltyRound(p) <= latestRound)
+      .reduce((sum, p) => sum + p.amount, 0);
+
+    driver.points_deducted = deducted;
+    driver.current_cp = (driver.current_cp ?? 0) - deducted;
+  }
+}
+
+// --- Tie-breakers ---
+// Drivers level on CP are compared rule by rule until one separates them.
+
+const TIE_BREAK_RULES = {
+  pi: {
+    label: 'Total PI',
+    compare: (a, b) => (b.current_pi ?? 0) - (a.current_pi ?? 0)
+  },
+  countback: {
+    label: 'Countback',
+    compare: compareCountback
+  },
+  latest_race: {
+    label: 'Latest race result',
+    compare: (a, b) => finishRank(a.tie_stats?.latest_position) - finishRank(b.tie_stats?.latest_position)
+  },
+  fewest_penalties: {
+    label: 'Fewest penalties',
+    compare: (a, b) => (a.current_penalty ?? 0) - (b.current_penalty ?? 0)
+  }
+};
+
+// Unclassified (no position, DNF, DSQ) sorts after every finishing position
+function finishRank(position) {
+  return position ? position : Infinity;
+}
+
+// Most wins, then most 2nds, and so on
+function compareCountback(a, b) {
+  const countsA = a.tie_stats?.position_counts || {};
+  const countsB = b.tie_stats?.position_counts || {};
+  const maxPosition = Math.max(0, ...Object.keys(countsA), ...Object.keys(countsB));
+
+  for (let p = 1; p <= maxPosition; p++) {
+    const diff = (countsB[p] || 0) - (countsA[p] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+// Per-driver finishing counts and latest-race position used by the rules
+function attachTieBreakStats(drivers, allResults) {
+  let latestRound = 0;
+  for (const r of allResults) {
+    latestRound = Math.max(latestRound, r.races?.round_number ?? 0);
+  }
+
+  for (const driver of drivers) {
+    driver.tie_stats = { position_counts: {}, latest_position: null };
+  }
+
+  const byId = {};
+  for (const driver of drivers) {
+    byId[driver.id] = driver;
+  }
+
+  for (const r of allResults) {
+    const driver = byId[r.driver_id];
+    if (!driver) continue;
+
+    const classified = r.position && !r.dnf && !r.dsq && !r.dns;
+    if (!classified) continue;
+
+    const counts = driver.tie_stats.position_counts;
+    counts[r.position] = (counts[r.position] || 0) + 1;
+
+    if ((r.races?.round_number ?? 0) === latestRound) {
+      driver.tie_stats.latest_position = r.position;
+    }
+  }
+}
+
+// Returns the first rule that separates a and b, or { result: 0, rule: null }
+function breakTie(a, b, ruleKeys, rules = TIE_BREAK_RULES) {
+  for (const key of ruleKeys) {
+    const rule = rules[key];
+    const result = rule.compare(a, b);
+    if (result !== 0 && !isNaN(result)) {
+      return { result, rule };
+    }
+  }
+
+  return { result: 0, rule: null };
+}
+
+// --- Counting rule (best N rounds / drop worst M) ---
+// A rule is { mode: 'all' | 'best' | 'drop', count: N }.
+
+// Splits one driver's rows into counted and dropped rounds.
+// Equal scores drop the later round first.
+function selectCountedResults(driverRows, rule) {
+  // Only rows with a finish are rounds: placeholders for races not run yet
+  // and did-not-start rows neither use up the best N nor get dropped, and
+  // any CP they hold (e.g. entered by hand) always counts
+  const unscored = driverRows.filter(r => !hasFinish(r));
+  const byScore = sortByRound(driverRows.filter(hasFinish))
+    .sort((a, b) => (b.cp_after ?? 0) - (a.cp_after ?? 0));
+
+  let keep = byScore.length;
+  if (rule.mode === 'best') {
+    keep = Math.min(byScore.length, rule.count);
+  } else if (rule.mode === 'drop') {
+    keep = Math.max(0, byScore.length - rule.count);
+  }
+
+  return {
+    counted: [...byScore.slice(0, keep), ...unscored],
+    dropped: byScore.slice(keep)
+  };
+}
+
+// CP total = hand-entered round 1 carry-over + the counted per-race deltas
+function applyCountingRule(drivers, allResults, rule) {
+  const rowsByDriver = {};
+  for (const r of allResults) {
+    (rowsByDriver[r.driver_id] = rowsByDriver[r.driver_id] || []).push(r);
+  }
+
+  for (const driver of drivers) {
+    const rows = rowsByDriver[driver.id];
+    driver.dropped_race_ids = [];
+
+    if (!rows || rows.length === 0) continue;
+
+    const firstRound = sortByRound(rows)[0];
+    const { counted, dropped } = selectCountedResults(rows, rule);
+
+    driver.current_cp = counted.reduce(
+      (sum, r) => sum + (r.cp_after ?? 0),
+      firstRound.cp_before ?? 0
+    );
+    driver.dropped_race_ids = dropped.map(r => r.race_id);
+  }
+}
+
+// --- Standings ---
+
+function pickLatestResultPerDriver(rows) {
+  const latest = {};
+
+  for (const row of rows) {
+    const dId = row.driver_id;
+    const round = row.races?.round_number ?? 0;
+
+    if (!latest[dId] || round > (latest[dId].races?.round_number ?? 0)) {
+      latest[dId] = row;
+    }
+  }
+
+  return latest;
+}
+
+function computeStandings(
+  drivers,
+  latestResultsByDriver,
+  allResults,
+  tieBreakers,
+  countingRule,
+  penaltyList
+) {
+  for (const driver of drivers) {
+    const latest = latestResultsByDriver[driver.id];
+
+    if (!latest) {
+      driver.current_cp = 0;
+      driver.current_pi = 0;
+      driver.current_penalty = 0;
+      driver.effective_pi = 0;
+    } else {
+      const cpBefore = latest.cp_before ?? 0;
+      const cpAfter  = latest.cp_after  ?? 0;
+      const piBefore = latest.pi_before ?? 0;
+      const piAfter  = latest.pi_after  ?? 0;
+      const penNext  = latest.penalty_for_next ?? 0;
+
+      const totalCp = cpBefore + cpAfter;
+      const totalPi = piBefore + piAfter;
+
+      // These are what you show under the driver name
+      driver.current_cp = totalCp;
+      driver.current_pi = totalPi;
+      driver.current_penalty = penNext;
+
+      // Optional: PI after applying next-race penalty
+      driver.effective_pi = Math.max(0, totalPi - penNext);
+    }
+  }
+
+  // CP comes from the per-race deltas so dropped rounds can be left out
+  applyCountingRule(drivers, allResults, countingRule);
+  applyPointsDeductions(drivers, allResults, penaltyList);
+
+  attachTieBreakStats(drivers, allResults);
+
+  // Order by TOTAL CP, then by the championship's tie-break rules
+  rankByCp(drivers, tieBreakers);
+}
+
+// Sorts by current_cp, breaks ties with the given rules and sets place,
+// place_shared and tie_break. Entries still level after every rule share
+// a place (e.g. "=3").
+function rankByCp(list, ruleKeys, rules = TIE_BREAK_RULES) {
+  list.sort((a, b) => {
+    if (b.current_cp !== a.current_cp) {
+      return b.current_cp - a.current_cp;
+    }
+    return breakTie(a, b, ruleKeys, rules).result;
+  });
+
+  for (let i = 0; i < list.length; i++) {
+    const entry = list[i];
+    const prev = list[i - 1];
+
+    entry.place = i + 1;
+    entry.place_shared = false;
+    entry.tie_break = null;
+
+    if (prev && prev.current_cp === entry.current_cp) {
+      const { result, rule } = breakTie(prev, entry, ruleKeys, rules);
+
+      if (result === 0) {
+        entry.place = prev.place;
+        entry.place_shared = true;
+        prev.place_shared = true;
+      } else {
+        entry.tie_break = rule.label;
+      }
+    }
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SCORING_PRESETS,
+    hasFinish,
+    computeCpForResult,
+    CARRY_OVER_FIELDS,
+    sortByRound,
+    planCarryOver,
+    planSeasonCarryOver,
+    createDefaultResultsForRace,
+    penaltyRound,
+    isPenaltyActive,
+    derivePenaltyForNext,
+    penaltyCarriedInto,
+    applyPointsDeductions,
+    TIE_BREAK_RULES,
+    finishRank,
+    attachTieBreakStats,
+    breakTie,
+    selectCountedResults,
+    applyCountingRule,
+    pickLatestResultPerDriver,
+    computeStandings,
+    rankByCp
+  };
+}
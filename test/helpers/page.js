@@ -0,0 +1,60 @@
+// Loads index.html in jsdom in offline demo mode, with `data` as the saved
+// demo store, and resolves once the first render (history panel last) is done.
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function pageSource() {
+  return fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    // No network: the Supabase CDN script is left out, local scripts are inlined
+    .replace(/<script src="https:[^"]*"><\/script>/g, '')
+    .replace(/<script src="([\w.-]+)"><\/script>/g, (tag, file) =>
+      `<script>${fs.readFileSync(path.join(ROOT, file), 'utf8')}</script>`);
+}
+
+async function waitFor(check, timeout = 5000) {
+  const start = Date.now();
+
+  while (!check()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for the page');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function loadPage(data) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const dom = new JSDOM(pageSource(), {
+    url: 'http://localhost/?demo',
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.structuredClone = structuredClone;
+      if (!window.crypto?.randomUUID) window.crypto = crypto;
+      window.alert = () => {};
+      window.confirm = () => true;
+
+      // jsdom has no modal dialogs
+      const dialog = window.HTMLDialogElement.prototype;
+      dialog.showModal ??= function () { this.open = true; };
+      dialog.close ??= function () {
+        this.open = false;
+        this.dispatchEvent(new window.Event('close'));
+      };
+
+      window.localStorage.setItem('championship-demo-data', JSON.stringify(data));
+    }
+  });
+
+  const { document } = dom.window;
+  await waitFor(() => document.getElementById('history-list')?.children.length > 0);
+
+  return { dom, window: dom.window, document, errors };
+}
+
+module.exports = { loadPage, waitFor };
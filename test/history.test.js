@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixture = require('./fixtures/season.json');
+const { loadPage } = require('./helpers/page.js');
+
+async function latestEntry(window) {
+  const [entry] = await window.fetchAuditLog();
+  return entry;
+}
+
+async function tableRows(window, table, match) {
+  const { data } = await window.eval('repository')[table].where(match);
+  return data;
+}
+
+test('undo of a car change from a round removes it from the car history', async (t) => {
+  const { window } = await loadPage(fixture);
+  t.after(() => window.close());
+
+  assert.ok(await window.updateDriver('d-ann', { name: 'Ann', number: null, car: 'Omega', fromRound: 3, teamId: null }));
+  assert.deepEqual(
+    (await tableRows(window, 'driver_car_changes', { driver_id: 'd-ann' })).map(c => [c.from_round, c.car]).sort(),
+    [[1, 'Alpha'], [3, 'Omega']]
+  );
+
+  assert.ok(await window.undoAuditEntry(await latestEntry(window)));
+
+  assert.deepEqual(await tableRows(window, 'driver_car_changes', { driver_id: 'd-ann' }), []);
+  assert.equal((await tableRows(window, 'drivers', { id: 'd-ann' }))[0].car, 'Alpha');
+
+  // Undoing the undo brings the change back, history included
+  assert.ok(await window.undoAuditEntry(await latestEntry(window)));
+  assert.equal((await tableRows(window, 'driver_car_changes', { driver_id: 'd-ann' })).length, 2);
+});
+
+test('undo of an added driver withdraws them once they have results', async (t) => {
+  const { window } = await loadPage(fixture);
+  t.after(() => window.close());
+
+  const eve = await window.createDriver('Eve', 'Epsilon', 1);
+  assert.equal((await tableRows(window, 'results', { driver_id: eve.id })).length, 3);
+
+  assert.ok(await window.undoAuditEntry(await latestEntry(window)));
+
+  const [driver] = await tableRows(window, 'drivers', { id: eve.id });
+  assert.deepEqual([driver.status, driver.active], ['withdrawn', false]);
+  assert.equal((await tableRows(window, 'results', { driver_id: eve.id })).length, 3);
+
+  // Without results the driver is deleted as before
+  const fay = await window.createDriver('Fay', 'Zeta');
+  assert.ok(await window.undoAuditEntry(await latestEntry(window)));
+  assert.deepEqual(await tableRows(window, 'drivers', { id: fay.id }), []);
+});
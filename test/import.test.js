@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixture = require('./fixtures/season.json');
+const { loadPage } = require('./helpers/page.js');
+
+function importJson(window, data) {
+  return window.planImport(window.normalizeImport('season.json', JSON.stringify(data)));
+}
+
+test('import skips results for a withdrawn driver without a row to update', async (t) => {
+  const { window, document } = await loadPage(fixture);
+  t.after(() => window.close());
+
+  const plan = await importJson(window, {
+    drivers: [],
+    races: [{ round: 4, name: 'Fourth' }],
+    results: [{ driver: 'Ann', round: 4, position: 1 }, { driver: 'Dan', round: 4, position: 2 }]
+  });
+
+  assert.equal(plan.errors.length, 0);
+  assert.deepEqual([...plan.resultWrites.map(w => w.driver_name)], ['Ann']);
+  assert.equal(plan.skipped.length, 1);
+  assert.match(plan.skipped[0], /^Dan, round 4: Dan is withdrawn/);
+
+  window.renderImportPreview(plan);
+  assert.match(document.getElementById('import-preview').textContent, /1 result\(s\) will be skipped/);
+
+  assert.ok(await window.applyImport(plan));
+  const results = await window.fetchAllResults();
+  assert.equal(results.filter(r => r.races.round_number === 4).length, 3);
+  assert.equal(results.filter(r => r.driver_id === 'd-dan').length, 0);
+});
+
+test('import rejects positions below 1 like a paste does', async (t) => {
+  const { window } = await loadPage(fixture);
+  t.after(() => window.close());
+
+  const plan = await importJson(window, {
+    drivers: [],
+    races: [],
+    results: [{ driver: 'Ann', round: 1, position: 0 }, { driver: 'Ben', round: 1, position: -1 }]
+  });
+
+  assert.deepEqual([...plan.errors], [
+    'Ann, round 1: "0" (position): position must be 1 or more.',
+    'Ben, round 1: "-1" (position): position must be 1 or more.'
+  ]);
+  assert.equal(plan.resultWrites.length, 0);
+});
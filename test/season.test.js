@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixture = require('./fixtures/season.json');
+const { loadPage } = require('./helpers/page.js');
+
+test('re-scoring the season rebuilds the carried-over totals without asking again', async (t) => {
+  const { window } = await loadPage(fixture);
+  t.after(() => window.close());
+
+  window.eval('championships')[0].scoring = window.eval('SCORING_PRESETS').f1_classic;
+  window.confirm = () => false;
+
+  await window.rescoreSeason();
+
+  const results = await window.fetchAllResults();
+  const benRound2 = results.find(r => r.id === 'x-ben-2');
+  assert.equal(results.find(r => r.id === 'x-ben-1').cp_after, 8);
+  assert.equal(benRound2.cp_after, 10);
+  assert.equal(benRound2.cp_before, 8);
+  assert.equal(window.planSeasonCarryOver(results, window.eval('penalties')).length, 0);
+
+  // The log keeps each changed row with its old and new values
+  const [entry] = await window.fetchAuditLog();
+  const logged = (side) => entry[side].results.find(r => r.id === 'x-ben-2');
+  assert.equal(JSON.stringify(logged('before_data')), JSON.stringify({ id: 'x-ben-2', cp_before: 18, cp_after: 25 }));
+  assert.equal(JSON.stringify(logged('after_data')), JSON.stringify({ id: 'x-ben-2', cp_before: 8, cp_after: 10 }));
+});
+
+test('driver profile stats leave out races not run and keep penalty types apart', async (t) => {
+  const data = structuredClone(fixture);
+  data.races.push({ id: 'r4', championship_id: 'c1', round_number: 4, name: 'Fourth' });
+  data.results.push({ id: 'x-cal-4', driver_id: 'd-cal', race_id: 'r4', cp_before: 58, pi_before: 9 });
+  data.penalties.push({
+    id: 'p-cal-2', driver_id: 'd-cal', race_id: 'r3', type: 'grid_drop', amount: 3,
+    reason: 'Gearbox', created_at: '2024-03-15T12:00:00.000Z'
+  });
+
+  const { window, document } = await loadPage(data);
+  t.after(() => window.close());
+
+  window.location.hash = '#/driver/d-cal';
+  window.renderCurrentRoute();
+
+  const stats = [...document.querySelectorAll('.driver-stats li')].map(li => li.textContent);
+  assert.ok(stats.includes('Rounds scored: 3 of 3'), stats.join('; '));
+  assert.ok(stats.includes('Average CP per race: 19.3'), stats.join('; '));
+  assert.ok(stats.includes('Penalties received: Grid drop 3, Points deduction 5 (2 penalties)'), stats.join('; '));
+  assert.equal(document.querySelectorAll('#detail-view tbody')[0].rows.length, 3);
+});
+
+test('constructor standings take points deductions off the driver\'s team', async (t) => {
+  const data = structuredClone(fixture);
+  data.teams = [{ id: 't1', championship_id: 'c1', name: 'Works' }];
+  data.driver_team_changes = [
+    { driver_id: 'd-ann', team_id: 't1', from_round: 1 },
+    { driver_id: 'd-cal', team_id: 't1', from_round: 1 }
+  ];
+  for (const d of data.drivers.filter(d => d.id === 'd-ann' || d.id === 'd-cal')) d.team_id = 't1';
+
+  const { window } = await loadPage(data);
+  t.after(() => window.close());
+
+  const [team] = window.eval('teams');
+  const results = await window.fetchAllResults();
+
+  window.computeConstructorStandings([team], window.eval('drivers'), results);
+  assert.deepEqual([team.current_cp, team.points_deducted], [44 + 58 - 5, 5]);
+
+  // Not yet issued after round 1
+  window.computeConstructorStandings([team], window.eval('drivers'), results.filter(r => r.races.round_number === 1));
+  assert.deepEqual([team.current_cp, team.points_deducted], [26 + 15, 0]);
+});
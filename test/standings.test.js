@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixture = require('./fixtures/season.json');
+const { createMemoryRepository } = require('../repository.js');
+const {
+  SCORING_PRESETS,
+  computeCpForResult,
+  planSeasonCarryOver,
+  createDefaultResultsForRace,
+  derivePenaltyForNext,
+  pickLatestResultPerDriver,
+  computeStandings
+} = require('../standings.js');
+
+const ALL_ROUNDS = { mode: 'all', count: 0 };
+
+async function loadSeason() {
+  const repository = createMemoryRepository(null, fixture);
+  const { data: results } = await repository.results.list('c1');
+  const { data: penalties } = await repository.penalties.list('c1');
+  const { data: drivers } = await repository.drivers.where({ championship_id: 'c1', active: true });
+
+  return { repository, results, penalties, drivers };
+}
+
+function standings(drivers, results, { tieBreakers = ['countback'], countingRule = ALL_ROUNDS, penalties = [] } = {}) {
+  computeStandings(drivers, pickLatestResultPerDriver(results), results, tieBreakers, countingRule, penalties);
+  return drivers.map(d => ({ name: d.name, cp: d.current_cp, place: d.place, shared: d.place_shared }));
+}
+
+test('fixture CP matches the F1 points system', () => {
+  const scoring = SCORING_PRESETS.f1;
+
+  for (const r of fixture.results) {
+    assert.equal(computeCpForResult(r, scoring), r.cp_after, r.id);
+  }
+});
+
+test('computeStandings: totals, shared places and tie-break rules', async () => {
+  const { results, drivers } = await loadSeason();
+
+  assert.deepEqual(standings(drivers, results), [
+    { name: 'Ben', cp: 58, place: 1, shared: true },
+    { name: 'Cal', cp: 58, place: 1, shared: true },
+    { name: 'Ann', cp: 54, place: 3, shared: false }
+  ]);
+
+  const byLatestRace = standings(drivers, results, { tieBreakers: ['latest_race'] });
+  assert.deepEqual(byLatestRace.map(d => [d.name, d.place]), [['Cal', 1], ['Ben', 2], ['Ann', 3]]);
+  assert.equal(drivers.find(d => d.name === 'Ben').tie_break, 'Latest race result');
+});
+
+test('computeStandings: points deductions and PI totals', async () => {
+  const { results, penalties, drivers } = await loadSeason();
+
+  assert.deepEqual(standings(drivers, results, { penalties }).map(d => [d.name, d.cp]), [
+    ['Ben', 58], ['Ann', 54], ['Cal', 53]
+  ]);
+
+  const ann = drivers.find(d => d.name === 'Ann');
+  assert.equal(ann.current_pi, 7);
+  assert.equal(drivers.find(d => d.name === 'Cal').points_deducted, 5);
+});
+
+test('computeStandings: counting rules', async () => {
+  const { results, drivers } = await loadSeason();
+
+  // Ann's DNF is a round (worth 0), so she drops it and keeps everything else
+  assert.deepEqual(
+    standings(drivers, results, { countingRule: { mode: 'drop', count: 1 } }).map(d => [d.name, d.cp]),
+    [['Ann', 54], ['Ben', 43], ['Cal', 43]]
+  );
+
+  assert.deepEqual(
+    standings(drivers, results, { countingRule: { mode: 'best', count: 1 } }).map(d => [d.name, d.cp]),
+    [['Ann', 36], ['Ben', 25], ['Cal', 25]]
+  );
+});
+
+test('carry-over: the fixture chain is consistent', async () => {
+  const { results, penalties } = await loadSeason();
+
+  for (const r of results) {
+    assert.equal(derivePenaltyForNext(r.driver_id, r.races.round_number, penalties), r.penalty_for_next, r.id);
+  }
+
+  assert.deepEqual(planSeasonCarryOver(results, penalties), []);
+});
+
+test('carry-over: an edit is carried into every later round', async () => {
+  const { results, penalties } = await loadSeason();
+
+  const edited = results.map(r => (r.id === 'x-ben-1' ? { ...r, cp_after: 25, pi_after: 6 } : r));
+  const changes = planSeasonCarryOver(edited, penalties);
+
+  assert.deepEqual(
+    changes.map(c => [c.row.id, c.values.cp_before, c.values.pi_before, c.changed.map(f => f.label)]),
+    [['x-ben-2', 25, 6, ['CP', 'PI']], ['x-ben-3', 50, 10, ['CP', 'PI']]]
+  );
+});
+
+test('carry-over: an active penalty is counted once, not once per round', async () => {
+  const { results, penalties } = await loadSeason();
+
+  // A running sum would make Ann's round 3 penalty 2 + 2
+  const summed = results.map(r => (r.id === 'x-ann-3' ? { ...r, penalty_before: 4 } : r));
+  const changes = planSeasonCarryOver(summed, penalties);
+
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].row.id, 'x-ann-3');
+  assert.equal(changes[0].values.penalty_before, 2);
+});
+
+test('createDefaultResultsForRace carries each active driver into the new round', async () => {
+  const { repository, penalties } = await loadSeason();
+  const { data: race } = await repository.races.create({ championship_id: 'c1', round_number: 4, name: 'Fourth' });
+
+  await createDefaultResultsForRace(repository, 'c1', race.id, 4, penalties);
+
+  const { data: rows } = await repository.results.where({ race_id: race.id });
+  const byDriver = Object.fromEntries(rows.map(r => [r.driver_id, r]));
+
+  // Withdrawn drivers get no row
+  assert.deepEqual(Object.keys(byDriver).sort(), ['d-ann', 'd-ben', 'd-cal']);
+
+  const pick = r => [r.cp_before, r.pi_before, r.penalty_before, r.cp_after, r.pi_after, r.penalty_for_next];
+  assert.deepEqual(pick(byDriver['d-ann']), [54, 7, 0, 0, 0, 0]); // 2-round penalty has run out
+  assert.deepEqual(pick(byDriver['d-ben']), [58, 8, 1, 0, 0, 0]); // season penalty still active
+  assert.deepEqual(pick(byDriver['d-cal']), [58, 9, 0, 0, 0, 0]);
+});
+
+test('createDefaultResultsForRace starts a first round at zero', async () => {
+  const repository = createMemoryRepository(null, {
+    drivers: fixture.drivers,
+    races: [{ id: 'r1', championship_id: 'c1', round_number: 1 }]
+  });
+
+  await createDefaultResultsForRace(repository, 'c1', 'r1', 1, []);
+
+  const { data: rows } = await repository.results.where({ race_id: 'r1' });
+  assert.equal(rows.length, 3);
+  for (const r of rows) {
+    assert.deepEqual([r.cp_before, r.pi_before, r.penalty_before], [0, 0, 0]);
+  }
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixture = require('./fixtures/season.json');
+const { loadPage } = require('./helpers/page.js');
+
+// Rendered as text this is harmless; parsed as markup it adds an <img>
+const HOSTILE = '<img src=x onerror="window.__xss = 1">';
+const hostile = (label) => `${label} ${HOSTILE}`;
+
+function hostileSeason() {
+  const data = structuredClone(fixture);
+
+  data.championships[0].name = hostile('Cup');
+  data.teams = [{ id: 't1', championship_id: 'c1', name: hostile('Team') }];
+  data.driver_team_changes = [{ driver_id: 'd-ann', team_id: 't1', from_round: 1 }];
+
+  for (const d of data.drivers) {
+    d.name = hostile(d.name);
+    d.car = hostile(d.car);
+  }
+  data.drivers[0].team_id = 't1';
+
+  for (const r of data.races) {
+    r.name = hostile(r.name);
+    r.notes = hostile('Notes');
+  }
+
+  for (const p of data.penalties) {
+    p.reason = hostile(p.reason);
+    p.steward_notes = hostile('Steward');
+  }
+
+  data.audit_log = [{
+    id: 'a1', championship_id: 'c1', table_name: 'drivers', row_id: 'd-ann', driver_id: 'd-ann',
+    action: 'update', summary: hostile('Renamed'), user_email: hostile('someone'),
+    before: { name: 'Ann' }, after: { name: hostile('Ann') },
+    undoable: true, created_at: '2024-03-09T12:00:00.000Z'
+  }];
+
+  return data;
+}
+
+// Every hostile string must arrive as text: no <img> anywhere, nothing run
+function assertInert(page, container, expected) {
+  const { window, document } = page;
+  const root = document.getElementById(container);
+
+  assert.ok(root.textContent.includes(expected), `${container} shows ${expected}`);
+  assert.equal(document.querySelectorAll('img').length, 0, `${container} has no <img>`);
+  assert.equal(window.__xss, undefined);
+  assert.deepEqual(page.errors, []);
+}
+
+test('views render names, cars, notes and reasons as text', async (t) => {
+  const page = await loadPage(hostileSeason());
+  const { window, document } = page;
+  t.after(() => window.close());
+
+  await t.test('grid', () => {
+    assertInert(page, 'grid-header-row', hostile('Opener'));
+    assertInert(page, 'grid-body', hostile('Ann'));
+  });
+
+  await t.test('standings and constructors', () => {
+    assertInert(page, 'standings-body', hostile('Alpha'));
+    assertInert(page, 'constructors-body', hostile('Team'));
+  });
+
+  await t.test('drivers, races and teams admin', () => {
+    assertInert(page, 'drivers-admin-list', `${hostile('Ben')} (${hostile('Beta')})`);
+
+    const races = document.getElementById('races-admin-list');
+    const shown = races.textContent + [...races.querySelectorAll('input')].map(i => i.value).join();
+    assert.ok(shown.includes(hostile('Second')));
+    assertInert(page, 'races-admin-list', '');
+
+    assertInert(page, 'teams-admin-list', '');
+  });
+
+  await t.test('driver edit form', async () => {
+    document.querySelector('#drivers-admin-list .driver-edit-btn[data-driver-id="d-ben"]').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const values = [...document.querySelectorAll('#drivers-admin-list input')].map(i => i.value);
+    assert.ok(values.includes(hostile('Ben')));
+    assert.ok(values.includes(hostile('Beta')));
+    assertInert(page, 'drivers-admin-list', '');
+  });
+
+  await t.test('charts', () => {
+    assertInert(page, 'progress-legend', hostile('Cal'));
+    assertInert(page, 'bump-chart', '');
+    assertInert(page, 'cp-chart', '');
+  });
+
+  await t.test('history panel', () => {
+    assertInert(page, 'history-list', hostile('Renamed'));
+    assertInert(page, 'history-list', hostile('someone'));
+  });
+
+  await t.test('race detail with penalties and notes', () => {
+    window.location.hash = '#/race/r2';
+    window.renderCurrentRoute();
+
+    const notes = document.getElementById('race-notes-input');
+    assert.equal(notes ? notes.value : undefined, hostile('Notes'));
+    assertInert(page, 'detail-view', hostile('Second'));
+    assertInert(page, 'detail-view', hostile('Track limits'));
+    assertInert(page, 'detail-view', hostile('Steward'));
+  });
+
+  await t.test('driver profile with penalties', () => {
+    window.location.hash = '#/driver/d-ann';
+    window.renderCurrentRoute();
+
+    assertInert(page, 'detail-view', hostile('Ann'));
+    assertInert(page, 'detail-view', hostile('Unsafe release'));
+    assertInert(page, 'detail-view', hostile('Opener'));
+  });
+
+  await t.test('import preview', async () => {
+    const imported = window.normalizeImport('season.json', JSON.stringify({
+      drivers: [{ name: hostile('Eve'), car: hostile('Epsilon') }],
+      races: [{ round: 4, name: hostile('Fourth') }],
+      results: [{ driver: hostile('Eve'), round: 4, position: 1 }]
+    }));
+    window.renderImportPreview(await window.planImport(imported));
+
+    assertInert(page, 'import-preview', hostile('Eve'));
+    assertInert(page, 'import-preview', hostile('Fourth'));
+  });
+
+  await t.test('paste preview', async () => {
+    window.location.hash = '';
+    window.renderCurrentRoute();
+
+    const matrix = window.buildInputMatrix();
+    const pasted = window.previewPaste(window.planPaste(matrix, { row: 0, col: 0 }, [[hostile('P')]]));
+
+    assertInert(page, 'paste-dialog', hostile('P'));
+    document.querySelector('#paste-dialog [data-choice="cancel"]').click();
+    assert.equal(await pasted, false);
+  });
+});